@@ -1,5 +1,6 @@
 var FlightSuretyApp = artifacts.require("FlightSuretyApp");
-var FlightSuretyData = artifacts.require("FlightSuretyData");
+// FlightSuretyData with the test-only helpers
+var FlightSuretyData = artifacts.require("FlightSuretyDataHarness");
 var BigNumber = require("bignumber.js");
 
 var Config = async function (accounts) {
@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: GPL-3.0
-pragma solidity >=0.6.0 <0.7.0;
+pragma solidity >=0.6.2 <0.7.0;
 // pragma solidity ^0.5.8;
 
 // It's important to avoid vulnerabilities due to numeric overflow bugs
@@ -34,7 +34,6 @@ contract FlightSuretyApp {
     uint8 constant AIRLINE_THRESHOLD = 4;
     uint256 constant MIN_REQ_DEPOSIT = 10 ether;
     FlightSuretyData flightSuretyData;
-    address[] votedAirlines = new address[](0);
 
     /********************************************************************************************/
     /*                                       FUNCTION MODIFIERS                                 */
@@ -50,7 +49,7 @@ contract FlightSuretyApp {
      */
     modifier requireIsOperational() {
         // Modify to call data contract's status
-        require(operational, "Contract is currently not operational");
+        checkIsOperational();
         _; // All modifiers require an "_" which indicates where the function body will be added
     }
 
@@ -63,36 +62,17 @@ contract FlightSuretyApp {
     }
 
     /**
-     * @dev Modifier to check if the caller is authorized
+     * @dev Modifier that requires the caller to be a registered airline that made the 10 ether deposit.
+     *      Airlines only take part in the contract once they are funded.
      */
-    modifier requireAuthorized() {
-        require(
-            flightSuretyData._isAuthorizedCaller(msg.sender) == true,
-            "The caller is not authorized"
-        );
+    modifier requireFundedAirline() {
+        checkFundedAirline(msg.sender);
         _;
     }
 
-    /**
-     * @dev Modifier that requires the airline to have made the 10 ether deposit to be able to register other airlines
-     */
-    modifier requireFundDeposited() {
-        uint256 funds = flightSuretyData._checkFunds(msg.sender);
-        require(
-            funds >= MIN_REQ_DEPOSIT,
-            "Must have deposited minimum 10 ether"
-        );
-        _;
-    }
-
-    modifier requireHasNotVoted() {
-        for (uint256 i = 0; i < votedAirlines.length; i++) {
-            require(
-                msg.sender != votedAirlines[i],
-                "The caller has already voted"
-            );
-        }
-        _;
+    // The check of requireIsOperational, kept out of line to save contract size
+    function checkIsOperational() private view {
+        require(operational, "Contract is currently not operational");
     }
 
     /********************************************************************************************/
@@ -121,6 +101,14 @@ contract FlightSuretyApp {
         return operational;
     }
 
+    /**
+     * @dev Get the account that deployed the contract
+     * @return The address of the contract owner
+     */
+    function getContractOwner() external view returns (address) {
+        return contractOwner;
+    }
+
     /**
      * @dev Sets contract operations on/off
      * When operational mode is disabled, all write transactions except for this one will fail
@@ -134,11 +122,51 @@ contract FlightSuretyApp {
     /********************************************************************************************/
 
     event FirstFourAirlineRegistration(address airline);
+    event ProposalCreated(
+        address airline,
+        string name,
+        address proposer,
+        uint256 expiresAt
+    );
+    event VoteCast(
+        address airline,
+        address voter,
+        uint256 votes,
+        uint256 requiredVotes
+    );
+    event AirlineAdmitted(address airline, string name, uint256 votes);
 
     /********************************************************************************************/
     /*                           SMART CONTRACT FUNCTIONS FOR AIRLINES                          */
     /********************************************************************************************/
 
+    // Time the registered airlines have to vote a candidate in
+    uint256 public constant PROPOSAL_DURATION = 7 days;
+
+    // Share of the registered airlines that must vote for a candidate
+    uint256 private constant CONSENSUS_PERCENT = 50;
+
+    // States of a proposal, see getProposal
+    uint8 private constant PROPOSAL_NONE = 0;
+    uint8 private constant PROPOSAL_OPEN = 1;
+    uint8 private constant PROPOSAL_ADMITTED = 2;
+    uint8 private constant PROPOSAL_EXPIRED = 3;
+
+    struct Proposal {
+        string name; // Name the candidate is registered with
+        address proposer; // Airline that cast the first vote
+        uint256 expiresAt; // Votes are accepted until then
+        uint256 votes; // Number of airlines that voted for the candidate
+        bool isAdmitted; // The candidate was voted in
+        mapping(address => bool) hasVoted; // Each registered airline votes once
+    }
+
+    // Key = hash(candidate, number of proposals for it)
+    mapping(bytes32 => Proposal) private proposals;
+
+    // Number of proposals made for each candidate
+    mapping(address => uint256) private proposalCount;
+
     function getNumOfFundedAirlines()
         external
         view
@@ -150,61 +178,184 @@ contract FlightSuretyApp {
         return fundedAirlines.length;
     }
 
-    function authorizeCaller(address addr) public requireIsOperational {
+    function authorizeCaller(address addr)
+        public
+        requireIsOperational
+        requireContractOwner
+    {
         flightSuretyData._authorizeCaller(addr);
     }
 
-    function deauthorizeCaller(address addr) public requireIsOperational {
+    function deauthorizeCaller(address addr)
+        public
+        requireIsOperational
+        requireContractOwner
+    {
         flightSuretyData._deauthorizeCaller(addr);
     }
 
-    /**
-     * @dev for development purpose only. This is to reset votesAirlines array so that registerAirline() can be tested
-     */
-    function resetVotedAirlines() public {
-        delete votedAirlines;
-    }
-
     /**
      * @dev Add an airline to the registration queue.
      * @param airline The address of the airline to be registered after the 4th initial airlines.
-     * The first 4 will have to be authorized by the contract owner and will be registered using msg.sender.
-     * The airlines starting from the 5th will be voted on by the first 4.
+     * The first 4 are registered by the contract owner or by a funded airline.
+     * The airlines starting from the 5th are voted in by the registered airlines. The first vote for a
+     * candidate opens a proposal, which admits it once CONSENSUS_PERCENT of the funded registered airlines voted
+     * for it within PROPOSAL_DURATION. A vote after the proposal expired opens a new one.
      * @param name The name of the airline to be registered to the Airline struct in FlightSuretyData. The first 4 have to register the name as well.
      * @return Returns the status of the registration with true or false.
      */
     function registerAirline(address airline, string memory name)
         public
         requireIsOperational
-        requireFundDeposited
-        requireAuthorized
-        requireHasNotVoted
         returns (bool)
     {
         require(airline != address(0), "Must be a valid address");
-        bool isSuccessful = false;
         uint256 numOfRegisteredAirlines = flightSuretyData._getMultiSigLength();
         if (numOfRegisteredAirlines < AIRLINE_THRESHOLD) {
-            isSuccessful = flightSuretyData._registerAirline(airline, name);
+            if (msg.sender != contractOwner) {
+                checkFundedAirline(msg.sender);
+            }
+            bool isSuccessful = flightSuretyData._registerAirline(airline, name);
             emit FirstFourAirlineRegistration(airline);
             return isSuccessful;
-        } else {
-            bool finalReg = false;
-            votedAirlines.push(msg.sender);
-            if (votedAirlines.length >= numOfRegisteredAirlines.div(2)) {
-                finalReg = flightSuretyData._registerAirline(airline, name);
-                return finalReg;
-            } else {
-                return finalReg;
-            }
         }
+        checkFundedAirline(msg.sender);
+        require(
+            !flightSuretyData._isAirline(airline),
+            "Airline is already registered"
+        );
+
+        Proposal storage proposal = proposals[currentProposal(airline)];
+        if (proposalState(proposal) != PROPOSAL_OPEN) {
+            proposalCount[airline] = proposalCount[airline].add(1);
+            proposal = proposals[currentProposal(airline)];
+            proposal.name = name;
+            proposal.proposer = msg.sender;
+            proposal.expiresAt = block.timestamp.add(PROPOSAL_DURATION);
+            emit ProposalCreated(airline, name, msg.sender, proposal.expiresAt);
+        }
+        require(
+            !proposal.hasVoted[msg.sender],
+            "The caller has already voted for this airline"
+        );
+        proposal.hasVoted[msg.sender] = true;
+        proposal.votes = proposal.votes.add(1);
+
+        uint256 required = votesRequired(numOfRegisteredAirlines);
+        emit VoteCast(airline, msg.sender, proposal.votes, required);
+        if (proposal.votes < required) {
+            return false;
+        }
+
+        proposal.isAdmitted = true;
+        flightSuretyData._registerAirline(airline, proposal.name);
+        emit AirlineAdmitted(airline, proposal.name, proposal.votes);
+        return true;
+    }
+
+    /**
+     * @dev Get the latest proposal to register an airline
+     * @return state PROPOSAL_NONE when the airline was never proposed, PROPOSAL_OPEN while it takes votes,
+     *         PROPOSAL_ADMITTED once it was voted in and PROPOSAL_EXPIRED when it ran out of time
+     * @return name The name the airline was proposed with
+     * @return proposer The airline that opened the proposal
+     * @return votes The number of votes cast so far
+     * @return requiredVotes The number of votes needed with the airlines registered now, 0 while
+     *         airlines are registered without a vote
+     * @return expiresAt The time votes are accepted until
+     */
+    function getProposal(address airline)
+        external
+        view
+        returns (
+            uint8 state,
+            string memory name,
+            address proposer,
+            uint256 votes,
+            uint256 requiredVotes,
+            uint256 expiresAt
+        )
+    {
+        Proposal storage proposal = proposals[currentProposal(airline)];
+        return (
+            proposalState(proposal),
+            proposal.name,
+            proposal.proposer,
+            proposal.votes,
+            votesRequired(flightSuretyData._getMultiSigLength()),
+            proposal.expiresAt
+        );
+    }
+
+    /**
+     * @dev Checks whether an airline voted on the latest proposal to register a candidate
+     */
+    function hasVoted(address airline, address voter)
+        external
+        view
+        returns (bool)
+    {
+        return proposals[currentProposal(airline)].hasVoted[voter];
+    }
+
+    function checkFundedAirline(address airline) private view {
+        require(
+            flightSuretyData._isAirline(airline),
+            "The caller is not a registered airline"
+        );
+        require(
+            flightSuretyData._checkFunds(airline) >= MIN_REQ_DEPOSIT,
+            "Must have deposited minimum 10 ether"
+        );
+    }
+
+    function currentProposal(address airline) private view returns (bytes32) {
+        return keccak256(abi.encodePacked(airline, proposalCount[airline]));
+    }
+
+    function proposalState(Proposal storage proposal)
+        private
+        view
+        returns (uint8)
+    {
+        if (proposal.proposer == address(0)) {
+            return PROPOSAL_NONE;
+        }
+        if (proposal.isAdmitted) {
+            return PROPOSAL_ADMITTED;
+        }
+        if (block.timestamp > proposal.expiresAt) {
+            return PROPOSAL_EXPIRED;
+        }
+        return PROPOSAL_OPEN;
+    }
+
+    // At least CONSENSUS_PERCENT of the registered airlines that paid their fund, the ones that
+    // can vote, once there are AIRLINE_THRESHOLD registered airlines
+    function votesRequired(uint256 numOfRegisteredAirlines)
+        private
+        view
+        returns (uint256)
+    {
+        if (numOfRegisteredAirlines < AIRLINE_THRESHOLD) {
+            return 0;
+        }
+        return flightSuretyData._getNumOfVotingAirlines().mul(CONSENSUS_PERCENT).add(99).div(100);
     }
 
     /**
-     * @dev Funds provided by the airlines
+     * @dev Funds provided by the airlines, forwarded to the vault of FlightSuretyData.
+     *      Only registered airlines and candidates with an open proposal can fund, the fund
+     *      isn't paid back.
      */
     function airlineFunding() public payable requireIsOperational {
-        flightSuretyData.fund(msg.sender, msg.value);
+        require(
+            flightSuretyData._isAirline(msg.sender) ||
+                proposalState(proposals[currentProposal(msg.sender)]) ==
+                PROPOSAL_OPEN,
+            "Only registered airlines and candidates can fund"
+        );
+        flightSuretyData.fund{value: msg.value}(msg.sender);
     }
 
     /**
@@ -230,23 +381,23 @@ contract FlightSuretyApp {
     }
 
     /**
-     * @dev Register a future flight for insuring.
-     * @param statusCode 6 different states
+     * @dev Register a future flight for insuring. Flights are registered once, by their funded
+     *      airline, and start with an unknown status that only the oracles settle.
      * @param updatedTimestamp uint256
      * @param airline address
      * @param flight string
      */
     function registerFlight(
-        uint8 statusCode,
         uint256 updatedTimestamp,
         address airline,
         string memory flight
-    ) public requireIsOperational {
+    ) public requireIsOperational requireFundedAirline {
+        require(msg.sender == airline, "Flights are registered by their airline");
         bytes32 flightKey = getFlightKey(airline, flight, updatedTimestamp);
         flightSuretyData._registerFlight(
-            statusCode,
             updatedTimestamp,
             airline,
+            flight,
             flightKey
         );
     }
@@ -262,6 +413,35 @@ contract FlightSuretyApp {
         return isRegistered;
     }
 
+    /**
+     * @dev Buy insurance for a registered flight whose status the oracles have not settled yet.
+     *      The premium sent with the transaction is held by FlightSuretyData and is capped by the
+     *      pricing policy of the airline.
+     * @param airline address
+     * @param flight string
+     * @param timestamp uint256
+     */
+    function buyInsurance(
+        address airline,
+        string memory flight,
+        uint256 timestamp
+    ) public payable requireIsOperational {
+        bytes32 flightKey = getFlightKey(airline, flight, timestamp);
+        require(
+            flightSuretyData._isFlightRegistered(flightKey),
+            "The flight is not registered"
+        );
+
+        flightSuretyData.buy{value: msg.value}(msg.sender, flightKey);
+    }
+
+    /**
+     * @dev Pays the pending credit of the caller from FlightSuretyData
+     */
+    function withdrawPayout() external requireIsOperational {
+        flightSuretyData.pay(msg.sender);
+    }
+
     function getRegisteredFlight(bytes32 flightKey)
         public
         view
@@ -277,65 +457,112 @@ contract FlightSuretyApp {
     }
 
     /**
-     * @dev Called after oracle has updated flight status
-     *
+     * @dev Called after oracle has updated flight status.
+     *      Credits every insuree of the flight when the status pays out under the
+     *      pricing policy of the airline.
      */
 
     function processFlightStatus(
         address airline,
         string memory flight,
         uint256 timestamp,
-        uint8 statusCode,
-        address passenger
-    ) public returns (uint8) {
+        uint8 statusCode
+    ) internal returns (uint8) {
         // process flight status
         bytes32 flightKey = getFlightKey(airline, flight, timestamp);
         uint8 returnedStatusCode = flightSuretyData.setFlightStatus(
             flightKey,
             statusCode
         );
-        if (statusCode == STATUS_CODE_LATE_AIRLINE) {
-            flightSuretyData.creditInsurees(passenger);
+        if (flightSuretyData.isPayoutStatus(airline, statusCode)) {
+            flightSuretyData.creditInsurees(flightKey);
+        } else if (statusCode != STATUS_CODE_UNKNOWN) {
+            flightSuretyData.releaseInsurees(flightKey);
         }
         return returnedStatusCode;
     }
 
     // Generate a request for oracles to fetch flight information
+    // A request that is still pending is announced again rather than reopened
+    // The status of a flight is final once the oracles settled it, so only registered
+    // flights with an unknown status can be requested
+    // The fee is paid out to the oracles that agree on the flight status
+    // The index of the oracles asked is drawn from the hash of the block the request
+    // is mined in, which the requester can't know when making it
     function fetchFlightStatus(
         address airline,
         string memory flight,
         uint256 timestamp
-    ) public {
-        uint8 index = this.getRandomIndex(msg.sender);
-
-        // Generate a unique key for storing the request
-        bytes32 key = keccak256(
-            abi.encodePacked(index, airline, flight, timestamp)
+    ) public payable requireIsOperational {
+        require(msg.value >= REQUEST_FEE, "Request fee is required");
+
+        // Generate a unique key for storing the request, the key of the flight
+        bytes32 key = getFlightKey(airline, flight, timestamp);
+        (bool isRegistered, uint8 statusCode, , ) = flightSuretyData
+            ._getRegisteredFlight(key);
+        require(isRegistered, "The flight is not registered");
+        require(
+            statusCode == STATUS_CODE_UNKNOWN,
+            "The flight status is already settled"
         );
-        oracleResponses[key] = ResponseInfo({
-            requester: msg.sender,
-            isOpen: true
-        });
+        ResponseInfo storage request = oracleResponses[currentRequest(key)];
+        uint8 state = requestState(request);
+        if (state != REQUEST_PENDING) {
+            // The fee of an expired request is carried over to the next one
+            uint256 fee = state == REQUEST_EXPIRED ? request.fee : 0;
+
+            // Earlier responses stay with the closed or expired request
+            oracleRequestCount[key]++;
+            request = oracleResponses[currentRequest(key)];
+            request.requester = msg.sender;
+            request.isOpen = true;
+            request.deadline = block.timestamp.add(ORACLE_RESPONSE_WINDOW);
+            request.requestBlock = block.number;
+            request.fee = fee;
+        }
+        request.fee = request.fee.add(msg.value);
 
-        emit OracleRequest(index, airline, flight, timestamp);
+        emit OracleRequest(airline, flight, timestamp, request.deadline);
     }
 
     /********************************************************************************************/
     /*                                    ORACLE MANAGEMENT                                     */
     /********************************************************************************************/
 
-    // Incremented to add pseudo-randomness at various points
-    uint8 private nonce = 0;
-
-    // Fee to be paid when registering oracle
+    // Fee to be paid when registering oracle, kept as its stake
     uint256 public constant REGISTRATION_FEE = 1 ether;
 
+    // Fee to be paid when requesting a flight status, shared by the oracles that agree
+    uint256 public constant REQUEST_FEE = 0.01 ether;
+
+    // Share of its stake an oracle loses when it reports against the consensus
+    uint256 public constant SLASH_PERCENT = 20;
+
     // Number of oracles that must respond for valid status
     uint256 private constant MIN_RESPONSES = 3;
 
+    // Time the oracles have to respond to a request
+    uint256 public constant ORACLE_RESPONSE_WINDOW = 5 minutes;
+
+    // Only the hashes of the last 256 blocks are available to the contract
+    uint256 private constant BLOCKHASH_WINDOW = 256;
+
+    // States of an oracle request, see getOracleRequest
+    uint8 private constant REQUEST_UNKNOWN = 0;
+    uint8 private constant REQUEST_PENDING = 1;
+    uint8 private constant REQUEST_RESOLVED = 2;
+    uint8 private constant REQUEST_EXPIRED = 3;
+
     struct Oracle {
         bool isRegistered;
         uint8[3] indexes;
+        uint256 stake; // What remains of the registration fee
+        uint256 rewards; // Rewards that have not been withdrawn
+        uint256 earned; // All the rewards earned
+        uint256 slashed; // All the stake lost
+        bytes32 commitment; // Hash of the oracle address and the secret its indexes are drawn from
+        uint256 commitBlock; // Block of the commitment, 0 once revealed
+        uint256 lockedUntil; // Deadline of the last request it responded to, the stake can be slashed until then
     }
 
     // Track all registered oracles
@@ -345,15 +572,26 @@ contract FlightSuretyApp {
     struct ResponseInfo {
         address requester; // Account that requested status
         bool isOpen; // If open, oracle responses are accepted
+        uint256 deadline; // Responses are accepted until then
+        uint256 requestBlock; // Block whose hash draws the index of the oracles asked
+        uint8 statusCode; // Status the oracles agreed on, once closed
+        uint256 responseCount; // Number of oracles that responded
+        uint256 fee; // Request fees paid out when the oracles agree
+        address[] responders; // Oracles that responded, in order
+        mapping(address => bool) hasResponded; // Each oracle responds once
+        mapping(address => uint8) reported; // Status code reported by each oracle
         mapping(uint8 => address[]) responses; // Mapping key is the status code reported
         // This lets us group responses and identify
         // the response that majority of the oracles
     }
 
     // Track all oracle responses
-    // Key = hash(index, flight, timestamp)
+    // Key = hash(hash(airline, flight, timestamp), number of requests for it)
     mapping(bytes32 => ResponseInfo) private oracleResponses;
 
+    // Number of requests made for each hash(airline, flight, timestamp)
+    mapping(bytes32 => uint256) private oracleRequestCount;
+
     // Event fired each time an oracle submits a response
     event FlightStatusInfo(
         address airline,
@@ -370,64 +608,135 @@ contract FlightSuretyApp {
     );
 
     // Event fired when flight status request is submitted
-    // Oracles track this and if they have a matching index
-    // they fetch data and submit a response
+    // Oracles track this and if they hold the index drawn from the hash
+    // of its block they fetch data and submit a response
     event OracleRequest(
-        uint8 index,
         address airline,
         string flight,
-        uint256 timestamp
+        uint256 timestamp,
+        uint256 deadline
     );
 
-    // Returns array of three non-duplicating integers from 0-9
-    function getRandomIndex(address account) external returns (uint8) {
-        uint8 maxValue = 10;
-
-        // Pseudo random number...the incrementing nonce adds variation
-        uint8 random = uint8(
-            uint256(
-                keccak256(
-                    abi.encodePacked(blockhash(block.number - nonce++), account)
-                )
-            ) % maxValue
-        );
-
-        if (nonce > 250) {
-            nonce = 0; // Can only fetch blockhashes for last 256 blocks so we adapt
-        }
+    event OracleRewarded(address oracle, uint256 amount);
+    event OracleSlashed(address oracle, uint256 amount);
+    event OracleDeregistered(address oracle, uint256 amount);
 
-        return random;
+    // Returns an integer from 0-9 drawn from the seed
+    function getRandomIndex(bytes32 seed, uint256 nonce)
+        internal
+        pure
+        returns (uint8)
+    {
+        return uint8(uint256(keccak256(abi.encodePacked(seed, nonce))) % 10);
     }
 
     // Returns array of three non-duplicating integers from 0-9
-    function generateIndexes(address account)
-        external
+    function generateIndexes(bytes32 seed)
+        internal
+        pure
         returns (uint8[3] memory)
     {
         uint8[3] memory indexes;
-        indexes[0] = this.getRandomIndex(account);
+        uint256 nonce = 0;
+        indexes[0] = getRandomIndex(seed, nonce++);
 
         indexes[1] = indexes[0];
         while (indexes[1] == indexes[0]) {
-            indexes[1] = this.getRandomIndex(account);
+            indexes[1] = getRandomIndex(seed, nonce++);
         }
 
         indexes[2] = indexes[1];
         while ((indexes[2] == indexes[0]) || (indexes[2] == indexes[1])) {
-            indexes[2] = this.getRandomIndex(account);
+            indexes[2] = getRandomIndex(seed, nonce++);
         }
 
         return indexes;
     }
 
-    // Register an oracle with the contract
-    function registerOracle() external payable {
+    // Register an oracle with the contract, committing to keccak256(oracle address, secret)
+    // The registration completes with revealOracle from the next block on
+    // A commitment that isn't revealed in time can be replaced and its fee is forfeited, so
+    // an oracle that lets a commitment lapse to avoid the indexes it would reveal pays for it
+    function registerOracle(bytes32 commitment)
+        external
+        payable
+        requireIsOperational
+    {
         // Require registration fee
         require(msg.value >= REGISTRATION_FEE, "Registration fee is required");
+        Oracle storage oracle = oracles[msg.sender];
+        require(!oracle.isRegistered, "Already registered as an oracle");
+        require(
+            oracle.commitBlock == 0 ||
+                block.number > oracle.commitBlock.add(BLOCKHASH_WINDOW),
+            "The oracle registration is waiting to be revealed"
+        );
 
-        uint8[3] memory indexes = this.generateIndexes(msg.sender);
+        if (oracle.commitBlock != 0) {
+            oracle.slashed = oracle.slashed.add(oracle.stake);
+            emit OracleSlashed(msg.sender, oracle.stake);
+        }
 
-        oracles[msg.sender] = Oracle({isRegistered: true, indexes: indexes});
+        oracle.commitment = commitment;
+        oracle.commitBlock = block.number;
+        oracle.stake = msg.value;
+    }
+
+    // Reveal the secret of the commitment. The indexes are drawn from the secret and the
+    // hash of the block of the commitment, which was unknown when committing, so neither
+    // can be chosen for the indexes they give
+    function revealOracle(bytes32 secret) external requireIsOperational {
+        Oracle storage oracle = oracles[msg.sender];
+        require(!oracle.isRegistered, "Already registered as an oracle");
+        require(oracle.commitBlock != 0, "There is no oracle registration to reveal");
+        require(
+            keccak256(abi.encodePacked(msg.sender, secret)) == oracle.commitment,
+            "The secret does not match the commitment"
+        );
+        require(
+            block.number > oracle.commitBlock,
+            "The oracle registration can be revealed from the next block"
+        );
+        require(
+            block.number <= oracle.commitBlock.add(BLOCKHASH_WINDOW),
+            "The oracle registration has expired, register again"
+        );
+
+        oracle.indexes = generateIndexes(
+            keccak256(abi.encodePacked(secret, blockhash(oracle.commitBlock)))
+        );
+        oracle.isRegistered = true;
+        oracle.commitment = 0;
+        oracle.commitBlock = 0;
+    }
+
+    // Deregister an oracle and pay back what remains of its stake with its rewards, once the
+    // requests it responded to can no longer slash it. Open while paused, so the oracles of
+    // an app replaced by an upgrade can leave
+    function deregisterOracle() external {
+        Oracle storage oracle = oracles[msg.sender];
+        require(oracle.isRegistered, "Not registered as an oracle");
+        require(
+            block.timestamp > oracle.lockedUntil,
+            "The stake is locked until the requests the oracle responded to close"
+        );
+
+        uint256 amount = oracle.stake.add(oracle.rewards);
+        oracle.isRegistered = false;
+        delete oracle.indexes;
+        oracle.stake = 0;
+        oracle.rewards = 0;
+        msg.sender.transfer(amount);
+        emit OracleDeregistered(msg.sender, amount);
+    }
+
+    // Withdraw the rewards of an oracle, registered or not, also while paused
+    function withdrawOracleRewards() external {
+        uint256 amount = oracles[msg.sender].rewards;
+        require(amount > 0, "There are no rewards to withdraw");
+
+        oracles[msg.sender].rewards = 0;
+        msg.sender.transfer(amount);
     }
 
     function getMyIndexes() external view returns (uint8[3] memory) {
@@ -453,7 +762,11 @@ contract FlightSuretyApp {
         string memory flight,
         uint256 timestamp,
         uint8 statusCode
-    ) public {
+    ) public requireIsOperational {
+        require(
+            oracles[msg.sender].isRegistered,
+            "Not registered as an oracle"
+        );
         require(
             (oracles[msg.sender].indexes[0] == index) ||
                 (oracles[msg.sender].indexes[1] == index) ||
@@ -461,33 +774,148 @@ contract FlightSuretyApp {
             "Index does not match oracle request"
         );
 
-        bytes32 key = keccak256(
-            abi.encodePacked(index, airline, flight, timestamp)
-        );
+        bytes32 key = keccak256(abi.encodePacked(airline, flight, timestamp));
+        ResponseInfo storage request = oracleResponses[currentRequest(key)];
         require(
-            oracleResponses[key].isOpen,
+            request.requester != address(0),
             "Flight or timestamp do not match oracle request"
         );
+        require(request.isOpen, "The oracle request is already resolved");
+        require(
+            block.timestamp <= request.deadline,
+            "The oracle request has expired"
+        );
+        require(
+            index == requestIndex(request, key),
+            "The index was not drawn for this request"
+        );
+        require(
+            !request.hasResponded[msg.sender],
+            "The oracle has already responded to this request"
+        );
 
-        oracleResponses[key].responses[statusCode].push(msg.sender);
+        request.hasResponded[msg.sender] = true;
+        request.reported[msg.sender] = statusCode;
+        // The request settles at the latest by its deadline
+        if (request.deadline > oracles[msg.sender].lockedUntil) {
+            oracles[msg.sender].lockedUntil = request.deadline;
+        }
+        request.responseCount++;
+        request.responders.push(msg.sender);
+        request.responses[statusCode].push(msg.sender);
 
         // Information isn't considered verified until at least MIN_RESPONSES
         // oracles respond with the *** same *** information
         emit OracleReport(airline, flight, timestamp, statusCode);
-        if (
-            oracleResponses[key].responses[statusCode].length >= MIN_RESPONSES
-        ) {
+        if (request.responses[statusCode].length >= MIN_RESPONSES) {
+            // Close the request so the flight status is processed once
+            request.isOpen = false;
+            request.statusCode = statusCode;
+            settleOracleRequest(request, statusCode);
             emit FlightStatusInfo(airline, flight, timestamp, statusCode);
 
             // Handle flight status as appropriate
-            processFlightStatus(
-                airline,
-                flight,
-                timestamp,
-                statusCode,
-                oracleResponses[key].requester
-            );
+            processFlightStatus(airline, flight, timestamp, statusCode);
+        }
+    }
+
+    // State of the latest request for the flight: REQUEST_UNKNOWN when none was made,
+    // REQUEST_PENDING while it accepts responses, REQUEST_RESOLVED once the oracles agreed
+    // on statusCode and REQUEST_EXPIRED when the deadline passed without consensus
+    // The index of the oracles asked is drawn from the hash of requestBlock
+    function getOracleRequest(
+        address airline,
+        string calldata flight,
+        uint256 timestamp
+    )
+        external
+        view
+        returns (
+            uint8 state,
+            uint8 statusCode,
+            uint256 deadline,
+            uint256 responseCount,
+            address requester,
+            uint256 fee,
+            uint256 requestBlock
+        )
+    {
+        ResponseInfo storage request = oracleResponses[currentRequest(
+            keccak256(abi.encodePacked(airline, flight, timestamp))
+        )];
+        return (
+            requestState(request),
+            request.statusCode,
+            request.deadline,
+            request.responseCount,
+            request.requester,
+            request.fee,
+            request.requestBlock
+        );
+    }
+
+    // Slashes the oracles that reported against the consensus and shares the request fee
+    // and their lost stake between the oracles that agreed
+    function settleOracleRequest(ResponseInfo storage request, uint8 statusCode)
+        private
+    {
+        uint256 pool = request.fee;
+        for (uint256 i = 0; i < request.responders.length; i++) {
+            address responder = request.responders[i];
+            if (request.reported[responder] == statusCode) {
+                continue;
+            }
+            Oracle storage dissenter = oracles[responder];
+            uint256 penalty = dissenter.stake.mul(SLASH_PERCENT).div(100);
+            dissenter.stake = dissenter.stake.sub(penalty);
+            dissenter.slashed = dissenter.slashed.add(penalty);
+            pool = pool.add(penalty);
+            emit OracleSlashed(responder, penalty);
+        }
+
+        address[] storage agreeing = request.responses[statusCode];
+        uint256 reward = pool.div(agreeing.length);
+        for (uint256 i = 0; i < agreeing.length; i++) {
+            Oracle storage oracle = oracles[agreeing[i]];
+            oracle.rewards = oracle.rewards.add(reward);
+            oracle.earned = oracle.earned.add(reward);
+            emit OracleRewarded(agreeing[i], reward);
+        }
+    }
+
+    // Index of the oracles asked for a request, drawn from the hash of its block and its key
+    function requestIndex(ResponseInfo storage request, bytes32 key)
+        private
+        view
+        returns (uint8)
+    {
+        bytes32 blockHash = blockhash(request.requestBlock);
+        require(
+            blockHash != 0,
+            "The index of the oracle request is not available"
+        );
+        return getRandomIndex(keccak256(abi.encodePacked(blockHash, key)), 0);
+    }
+
+    function currentRequest(bytes32 key) private view returns (bytes32) {
+        return keccak256(abi.encodePacked(key, oracleRequestCount[key]));
+    }
+
+    function requestState(ResponseInfo storage request)
+        private
+        view
+        returns (uint8)
+    {
+        if (request.requester == address(0)) {
+            return REQUEST_UNKNOWN;
+        }
+        if (!request.isOpen) {
+            return REQUEST_RESOLVED;
+        }
+        if (block.timestamp > request.deadline) {
+            return REQUEST_EXPIRED;
         }
+        return REQUEST_PENDING;
     }
 
     // endregion
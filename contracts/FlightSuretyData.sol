@@ -14,6 +14,11 @@ contract FlightSuretyData {
 
     address private contractOwner; // Account used to deploy contract
     bool private operational = true; // Blocks all state changes throughout the contract if false
+    uint8 private constant STATUS_CODE_UNKNOWN = 0; // The status of a flight until the oracles settle it
+    // The late statuses, from STATUS_CODE_LATE_AIRLINE to STATUS_CODE_LATE_OTHER in steps of 10,
+    // are the ones a pricing policy can pay out for
+    uint8 private constant STATUS_CODE_LATE_AIRLINE = 20;
+    uint8 private constant STATUS_CODE_LATE_OTHER = 50;
 
     struct Airline {
         string name;
@@ -22,11 +27,37 @@ contract FlightSuretyData {
     }
 
     struct Insurance {
-        address flight;
+        bytes32 flightKey;
+        address airline; // the airline covering the payout
         uint256 amount; // insurance payment
+        uint256 payout; // credited if the flight is delayed, quoted at purchase
+        bool isCredited; // the payout has been added to the pending credit
+        bool isReleased; // the flight landed without a payout
+        bool isPaid; // the credited payout has been withdrawn
         bool isValue; // checks for the existence of the insurance
     }
 
+    struct AirlineAccount {
+        uint256 premiums; // premiums collected on the airline's flights
+        uint256 credited; // payouts credited to the insurees
+        uint256 paid; // credited payouts withdrawn by the insurees
+        uint256 liability; // payouts of the policies that can still be credited
+    }
+
+    struct Vault {
+        uint256 funds; // airline funds deposited
+        uint256 premiums; // premiums collected on all flights
+        uint256 paid; // payouts withdrawn by the insurees
+    }
+
+    struct PricingPolicy {
+        uint256 maxPremium; // the highest premium a policy can be bought for
+        uint256 payoutNumerator; // payout = premium * payoutNumerator / payoutDenominator
+        uint256 payoutDenominator;
+        uint8[] payoutStatusCodes; // the flight statuses that credit the insurees
+        bool isValue; // checks for the existence of an airline's own policy
+    }
+
     struct Flight {
         bool isRegistered;
         uint8 statusCode;
@@ -38,11 +69,17 @@ contract FlightSuretyData {
     address[] fundedAirlines = new address[](0);
 
     mapping(bytes32 => Flight) public flights;
-    mapping(address => Airline) private airlines;
-    mapping(address => bool) private authorizedCaller; // contract address => 1
-    mapping(address => Insurance) private insurance; // beneficiary => Insurance
+    mapping(address => Airline) internal airlines;
+    mapping(address => bool) internal authorizedCaller; // contract address => 1
+    mapping(address => mapping(bytes32 => Insurance)) private insurance; // beneficiary => flightKey => Insurance
+    mapping(address => bytes32[]) private policies; // beneficiary => flightKeys of its policies
+    mapping(bytes32 => address[]) private insurees; // flightKey => beneficiaries
     mapping(address => uint256) private pendingCredit;
-    mapping(address => uint256) private funds;
+    mapping(address => uint256) internal funds;
+    mapping(address => AirlineAccount) private airlineAccounts;
+    Vault internal vault; // the ether held by this contract, see getVaultBalance
+    PricingPolicy private defaultPricingPolicy; // applies to airlines without their own policy
+    mapping(address => PricingPolicy) private pricingPolicies; // airline => PricingPolicy
 
     /********************************************************************************************/
     /*                                       EVENT DEFINITIONS                                  */
@@ -50,12 +87,29 @@ contract FlightSuretyData {
 
     event ContractAuthorized(address addr);
     event ContractDeauthorized(address addr);
-    event InsuranceBought(address flight, uint256 amount);
+    event InsuranceBought(address beneficiary, bytes32 flightKey, uint256 amount);
     event AirlineRegistered(string name, bool isFunded, bool isRegistered);
-    event CreditIssuedToInsuree(address beneficiary, uint256 creditAmount);
+    event CreditIssuedToInsuree(
+        address beneficiary,
+        bytes32 flightKey,
+        uint256 creditAmount
+    );
     event InsurancePayoutPaid(address beneficiary, uint256 amount);
     event FundedByAirline(address airline, uint256 amount);
-    event FlightRegistered(bytes32 flightKey);
+    event PricingPolicyUpdated(
+        address airline,
+        uint256 maxPremium,
+        uint256 payoutNumerator,
+        uint256 payoutDenominator,
+        uint8[] payoutStatusCodes
+    );
+    event PricingPolicyRemoved(address airline);
+    event FlightRegistered(
+        bytes32 flightKey,
+        address airline,
+        string flight,
+        uint256 timestamp
+    );
 
     /********************************************************************************************/
     /*                                       CONSTRUCTOR                                        */
@@ -63,11 +117,17 @@ contract FlightSuretyData {
 
     /**
      * @dev Constructor
-     *      The deploying account becomes contractOwner
+     *      The deploying account becomes contractOwner, which authorizes the app contract
      */
     constructor() public {
         contractOwner = msg.sender;
-        authorizedCaller[msg.sender] = true;
+
+        // 1 ether at most, paid out 1.5x when the airline causes the delay
+        defaultPricingPolicy.maxPremium = 1 ether;
+        defaultPricingPolicy.payoutNumerator = 3;
+        defaultPricingPolicy.payoutDenominator = 2;
+        defaultPricingPolicy.payoutStatusCodes.push(STATUS_CODE_LATE_AIRLINE);
+        defaultPricingPolicy.isValue = true;
     }
 
     /********************************************************************************************/
@@ -83,7 +143,7 @@ contract FlightSuretyData {
      *      the event there is an issue that needs to be fixed
      */
     modifier requireIsOperational() {
-        require(operational, "Contract is currently not operational");
+        checkIsOperational();
         _; // All modifiers require an "_" which indicates where the function body will be added
     }
 
@@ -103,12 +163,37 @@ contract FlightSuretyData {
         _;
     }
 
+    /**
+     * @dev Modifier that requires an authorized app contract to be the function caller.
+     *      Every state change but the owner's settings goes through the app contract.
+     */
     modifier requireAuthorized() {
+        checkAuthorized();
+        _;
+    }
+
+    /**
+     * @dev Modifier that requires the contract owner, or an authorized app contract that
+     *      checks the owner of its own, to be the function caller
+     */
+    modifier requireOwnerOrAuthorized() {
+        require(
+            msg.sender == contractOwner || authorizedCaller[msg.sender] == true,
+            "Caller is not contract owner"
+        );
+        _;
+    }
+
+    // The checks of the modifiers used by most functions, kept out of line to save contract size
+    function checkIsOperational() private view {
+        require(operational, "Contract is currently not operational");
+    }
+
+    function checkAuthorized() private view {
         require(
             authorizedCaller[msg.sender] == true,
             "The caller is not authorized"
         );
-        _;
     }
 
     /********************************************************************************************/
@@ -125,6 +210,15 @@ contract FlightSuretyData {
         return operational;
     }
 
+    /**
+     * @dev Get the account that deployed the contract
+     * @return The address of the contract owner
+     */
+
+    function getContractOwner() external view returns (address) {
+        return contractOwner;
+    }
+
     /**
      * @dev Sets contract operations on/off
      *
@@ -146,8 +240,7 @@ contract FlightSuretyData {
     function _authorizeCaller(address addr)
         external
         requireIsOperational
-        // requireContractOwner
-        requireAuthorized
+        requireOwnerOrAuthorized
         authorizedCallerExists(addr)
     {
         require(addr != address(0), "Must be a valid address");
@@ -163,8 +256,7 @@ contract FlightSuretyData {
     function _deauthorizeCaller(address addr)
         external
         requireIsOperational
-        // requireContractOwner
-        requireAuthorized
+        requireOwnerOrAuthorized
     {
         require(addr != address(0), "Must be a valid address");
         delete authorizedCaller[addr];
@@ -220,12 +312,9 @@ contract FlightSuretyData {
     {
         require(!airlines[addr].isRegistered, "Airline is already registered");
 
-        // isFunded is only true after seeding the initial 10 ether
-        airlines[addr] = Airline({
-            name: name,
-            isFunded: true,
-            isRegistered: true
-        });
+        // isFunded is only set by fund(), which the airline may have paid before registering
+        airlines[addr].name = name;
+        airlines[addr].isRegistered = true;
 
         multiSig.push(addr);
         emit AirlineRegistered(
@@ -246,77 +335,166 @@ contract FlightSuretyData {
     }
 
     /**
-     * @dev Buy insurance for a flight
+     * @dev Buy insurance for a flight whose status is not settled yet. A beneficiary holds
+     *      one policy per flight.
+     *      The premium and the payout follow the pricing policy of the flight's airline,
+     *      whose coverage capacity has to cover the payout.
      * @param beneficiary The person to receive the insurance payout
-     * @param flight The flight address
+     * @param flightKey The key of the insured flight
      */
 
-    function buy(address beneficiary, address flight)
+    function buy(address beneficiary, bytes32 flightKey)
         external
         payable
         requireIsOperational
+        requireAuthorized
     {
         require(beneficiary != address(0), "Not a valid address");
+        // Once the oracles settled the flight, its outcome is known
         require(
-            msg.value > 0,
-            "The insurance has to be purchased for more than 0 ether"
+            flights[flightKey].statusCode == STATUS_CODE_UNKNOWN,
+            "The flight status is already settled"
+        );
+        require(
+            insurance[beneficiary][flightKey].isValue == false,
+            "The flight is already insured by this passenger"
         );
-        insurance[beneficiary] = Insurance({
-            flight: flight,
+        address airline = flights[flightKey].airline;
+        uint256 payout = quote(airline, msg.value);
+        require(
+            payout <= coverageCapacity(airline).add(msg.value),
+            "The airline cannot cover the payout of this policy"
+        );
+        insurance[beneficiary][flightKey] = Insurance({
+            flightKey: flightKey,
+            airline: airline,
             amount: msg.value,
+            payout: payout,
+            isCredited: false,
+            isReleased: false,
+            isPaid: false,
             isValue: true
         });
-
-        emit InsuranceBought(
-            insurance[beneficiary].flight,
-            insurance[beneficiary].amount
-        );
+        AirlineAccount storage account = airlineAccounts[airline];
+        account.premiums = account.premiums.add(msg.value);
+        account.liability = account.liability.add(payout);
+        vault.premiums = vault.premiums.add(msg.value);
+        policies[beneficiary].push(flightKey);
+        insurees[flightKey].push(beneficiary);
+
+        emit InsuranceBought(beneficiary, flightKey, msg.value);
     }
 
     /**
      * @dev Query the insurance detail
      * @param beneficiary The beneficiary address to search for the specific insurance
-     * @return Returns beneficiary and the amount of the Insurance struct
+     * @param flightKey The key of the insured flight
+     * @return Returns the amount and the payout of the Insurance struct, whether its payout has been
+     *         credited, whether it was released because the flight landed without a payout and
+     *         whether its credited payout has been withdrawn
      */
 
-    function insuranceQuery(address beneficiary)
+    function insuranceQuery(address beneficiary, bytes32 flightKey)
         external
         view
         requireIsOperational
-        returns (address, uint256)
+        returns (
+            uint256,
+            uint256,
+            bool,
+            bool,
+            bool
+        )
     {
         require(beneficiary != address(0), "Not a valid address");
         require(
-            insurance[beneficiary].isValue == true,
-            "The insurance for this airline doesn't exist"
+            insurance[beneficiary][flightKey].isValue == true,
+            "The insurance for this flight doesn't exist"
         );
-        Insurance memory i = insurance[beneficiary];
-        return (i.flight, i.amount);
+        Insurance memory i = insurance[beneficiary][flightKey];
+        return (i.amount, i.payout, i.isCredited, i.isReleased, i.isPaid);
     }
 
     /**
-     * @dev Credits payouts to insurees
-     * @param beneficiary The address of the beneficiary of the pending credit
+     * @dev Query the flights insured by a beneficiary
+     * @param beneficiary The beneficiary address
+     * @return Returns the flight keys of the beneficiary's policies, in order of purchase
      */
 
-    function creditInsurees(address beneficiary)
+    function policiesQuery(address beneficiary)
         external
-        payable
+        view
         requireIsOperational
+        returns (bytes32[] memory)
     {
-        require(
-            beneficiary != address(0),
-            "The accounts are not valid addresses"
-        );
-        require(
-            insurance[beneficiary].isValue == true,
-            "The person is not insured"
-        );
+        require(beneficiary != address(0), "Not a valid address");
+        return policies[beneficiary];
+    }
 
-        require(insurance[beneficiary].amount > 0, "The payout has 0 balance");
-        uint256 credit = insurance[beneficiary].amount;
-        pendingCredit[beneficiary] = credit.mul(3).div(2);
-        emit CreditIssuedToInsuree(beneficiary, pendingCredit[beneficiary]);
+    /**
+     * @dev Query the beneficiaries insured on a flight
+     * @param flightKey The key of the flight
+     * @return Returns the addresses of the insurees, in order of purchase
+     */
+
+    function insureesQuery(bytes32 flightKey)
+        external
+        view
+        requireIsOperational
+        returns (address[] memory)
+    {
+        return insurees[flightKey];
+    }
+
+    /**
+     * @dev Credits the payout quoted at purchase to every insuree of a flight. Policies that
+     *      have been credited or released already are skipped.
+     * @param flightKey The key of the delayed flight
+     */
+
+    function creditInsurees(bytes32 flightKey)
+        external
+        requireIsOperational
+        requireAuthorized
+    {
+        address[] memory beneficiaries = insurees[flightKey];
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            Insurance storage policy = insurance[beneficiaries[i]][flightKey];
+            if (policy.isCredited || policy.isReleased) {
+                continue;
+            }
+            uint256 credit = policy.payout;
+            policy.isCredited = true;
+            AirlineAccount storage account = airlineAccounts[policy.airline];
+            account.liability = account.liability.sub(credit);
+            account.credited = account.credited.add(credit);
+            pendingCredit[beneficiaries[i]] = pendingCredit[beneficiaries[i]]
+                .add(credit);
+            emit CreditIssuedToInsuree(beneficiaries[i], flightKey, credit);
+        }
+    }
+
+    /**
+     * @dev Closes the policies of a flight that landed without a payout, which releases
+     *      their payouts from the liability of the airline
+     * @param flightKey The key of the flight
+     */
+
+    function releaseInsurees(bytes32 flightKey)
+        external
+        requireIsOperational
+        requireAuthorized
+    {
+        address[] memory beneficiaries = insurees[flightKey];
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            Insurance storage policy = insurance[beneficiaries[i]][flightKey];
+            if (policy.isCredited || policy.isReleased) {
+                continue;
+            }
+            policy.isReleased = true;
+            AirlineAccount storage account = airlineAccounts[policy.airline];
+            account.liability = account.liability.sub(policy.payout);
+        }
     }
 
     /**
@@ -332,65 +510,68 @@ contract FlightSuretyData {
         returns (uint256)
     {
         require(beneficiary != address(0), "Not a valid address");
-        require(
-            insurance[beneficiary].isValue == true,
-            "The person is not insured"
-        );
+        require(policies[beneficiary].length > 0, "The person is not insured");
         return pendingCredit[beneficiary];
     }
 
     /**
-     *  @dev Transfers eligible payout funds to insuree
-     *
+     *  @dev Transfers eligible payout funds to insuree, and books each credited policy
+     *      as paid by its airline
+     * @param beneficiary The insuree withdrawing its pending credit through the app contract
      */
-    function pay() external payable requireIsOperational {
-        require(msg.sender != address(0), "Not a valid address");
+    function pay(address payable beneficiary)
+        external
+        requireIsOperational
+        requireAuthorized
+    {
+        require(beneficiary != address(0), "Not a valid address");
+        require(policies[beneficiary].length > 0, "The caller is not insured");
         require(
-            insurance[msg.sender].isValue == true,
-            "The caller is not insured"
+            pendingCredit[beneficiary] != 0,
+            "The pending credit amount is 0"
         );
+        uint256 payout = pendingCredit[beneficiary];
         require(
-            pendingCredit[msg.sender] != 0,
-            "The pending credit amount is 0"
+            address(this).balance >= payout,
+            "The contract balance cannot cover the payout"
         );
-        uint256 payout = pendingCredit[msg.sender];
-        pendingCredit[msg.sender] = 0;
-        address(uint160(msg.sender)).transfer(payout);
-        emit InsurancePayoutPaid(msg.sender, payout);
+        pendingCredit[beneficiary] = 0;
+        bytes32[] memory flightKeys = policies[beneficiary];
+        for (uint256 i = 0; i < flightKeys.length; i++) {
+            Insurance storage policy = insurance[beneficiary][flightKeys[i]];
+            if (!policy.isCredited || policy.isPaid) {
+                continue;
+            }
+            policy.isPaid = true;
+            AirlineAccount storage account = airlineAccounts[policy.airline];
+            account.paid = account.paid.add(policy.payout);
+        }
+        vault.paid = vault.paid.add(payout);
+        beneficiary.transfer(payout);
+        emit InsurancePayoutPaid(beneficiary, payout);
     }
 
     /**
      * @dev Initial funding for the insurance. Unless there are too many delayed flights
      *      resulting in insurance payouts, the contract should be self-sustaining
-     *
+     *      The 10 ether are sent along by the app contract and held in the vault.
+     * @param addr The funding airline
      */
 
-    function fund(address addr, uint256 amount)
+    function fund(address addr)
         external
         payable
         requireIsOperational
+        requireAuthorized
     {
-        require(amount == 10 ether, "The fund must be 10 ether");
-        require(
-            airlines[addr].isFunded == false,
-            "The airline has already funded"
-        );
+        require(msg.value == 10 ether, "The fund must be 10 ether");
+        require(funds[addr] == 0, "The airline has already funded");
 
-        funds[addr] = funds[addr].add(amount);
+        funds[addr] = funds[addr].add(msg.value);
+        vault.funds = vault.funds.add(msg.value);
         airlines[addr].isFunded = true;
         fundedAirlines.push(addr);
-        emit FundedByAirline(addr, amount);
-    }
-
-    /**
-     * @dev for testing purpose only. This is to prevent "airline has already funded" and "airline is already authorized" error
-     */
-    function refund(address addr) external {
-        funds[addr] = 0;
-        airlines[addr].isFunded = false;
-        delete fundedAirlines;
-        delete authorizedCaller[addr];
-        delete multiSig;
+        emit FundedByAirline(addr, msg.value);
     }
 
     /**
@@ -425,21 +606,62 @@ contract FlightSuretyData {
         return fundedAirlines;
     }
 
+    /**
+     * @dev Get the number of registered airlines that have paid the 10 ether fund, the
+     *      airlines that vote new airlines in
+     * @return count Number of airlines
+     */
+
+    function _getNumOfVotingAirlines()
+        external
+        view
+        requireIsOperational
+        returns (uint256 count)
+    {
+        for (uint256 i = 0; i < multiSig.length; i++) {
+            if (airlines[multiSig[i]].isFunded) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @dev Get the airlines that have been registered, in order of registration
+     * @return The addresses of the registered airlines
+     */
+
+    function _getRegisteredAirlines()
+        external
+        view
+        requireIsOperational
+        returns (address[] memory)
+    {
+        return multiSig;
+    }
+
+    /**
+     * @dev Register a flight with an unknown status, which only the oracles settle. A flight
+     *      is registered once, so its status and its policies can't be reset.
+     */
     function _registerFlight(
-        uint8 statusCode,
         uint256 updatedTimestamp,
         address airline,
+        string calldata flight,
         bytes32 flightKey
-    ) external requireIsOperational {
+    ) external requireIsOperational requireAuthorized {
+        require(
+            !flights[flightKey].isRegistered,
+            "The flight is already registered"
+        );
         Flight memory newFlight = Flight(
             true,
-            statusCode,
+            STATUS_CODE_UNKNOWN,
             updatedTimestamp,
             airline
         );
         flights[flightKey] = newFlight;
 
-        emit FlightRegistered(flightKey);
+        emit FlightRegistered(flightKey, airline, flight, updatedTimestamp);
     }
 
     function _isFlightRegistered(bytes32 flightKey)
@@ -472,9 +694,269 @@ contract FlightSuretyData {
 
     function setFlightStatus(bytes32 flightKey, uint8 statusCode)
         external
+        requireIsOperational
+        requireAuthorized
         returns (uint8)
     {
+        // A settled status is final, the insurees were credited or released on it
+        require(
+            flights[flightKey].statusCode == STATUS_CODE_UNKNOWN,
+            "The flight status is already settled"
+        );
         flights[flightKey].statusCode = statusCode;
         return flights[flightKey].statusCode;
     }
+
+    /********************************************************************************************/
+    /*                                     PRICING POLICY                                       */
+    /********************************************************************************************/
+
+    /**
+     * @dev Sets the pricing policy of an airline, or the default policy for address(0)
+     * @param airline The airline the policy applies to, address(0) for the default policy
+     * @param maxPremium The highest premium a policy can be bought for
+     * @param payoutNumerator The payout is premium * payoutNumerator / payoutDenominator
+     * @param payoutDenominator The payout is premium * payoutNumerator / payoutDenominator
+     * @param payoutStatusCodes The flight statuses that credit the insurees, late statuses only
+     */
+
+    function setPricingPolicy(
+        address airline,
+        uint256 maxPremium,
+        uint256 payoutNumerator,
+        uint256 payoutDenominator,
+        uint8[] calldata payoutStatusCodes
+    ) external requireContractOwner {
+        require(maxPremium > 0, "The maximum premium must be more than 0");
+        require(
+            payoutNumerator > 0 && payoutDenominator > 0,
+            "The payout multiplier must be more than 0"
+        );
+        require(
+            payoutStatusCodes.length > 0,
+            "At least one flight status has to pay out"
+        );
+        // A payout on an unknown status would credit the insurees and leave the flight unsettled
+        for (uint256 i = 0; i < payoutStatusCodes.length; i++) {
+            uint8 statusCode = payoutStatusCodes[i];
+            require(
+                statusCode >= STATUS_CODE_LATE_AIRLINE &&
+                    statusCode <= STATUS_CODE_LATE_OTHER &&
+                    statusCode % 10 == 0,
+                "Only the late flight statuses can pay out"
+            );
+        }
+
+        PricingPolicy storage policy = airline == address(0)
+            ? defaultPricingPolicy
+            : pricingPolicies[airline];
+        policy.maxPremium = maxPremium;
+        policy.payoutNumerator = payoutNumerator;
+        policy.payoutDenominator = payoutDenominator;
+        policy.payoutStatusCodes = payoutStatusCodes;
+        policy.isValue = true;
+        emit PricingPolicyUpdated(
+            airline,
+            maxPremium,
+            payoutNumerator,
+            payoutDenominator,
+            payoutStatusCodes
+        );
+    }
+
+    /**
+     * @dev Removes the pricing policy of an airline, which then follows the default policy
+     * @param airline The airline whose policy is removed
+     */
+
+    function removePricingPolicy(address airline)
+        external
+        requireContractOwner
+    {
+        require(
+            pricingPolicies[airline].isValue == true,
+            "The airline has no pricing policy of its own"
+        );
+        delete pricingPolicies[airline];
+        emit PricingPolicyRemoved(airline);
+    }
+
+    /**
+     * @dev Get the pricing policy that applies to an airline
+     * @param airline The address of the airline
+     * @return maxPremium The highest premium a policy can be bought for
+     * @return payoutNumerator The payout is premium * payoutNumerator / payoutDenominator
+     * @return payoutDenominator The payout is premium * payoutNumerator / payoutDenominator
+     * @return payoutStatusCodes The flight statuses that credit the insurees
+     * @return isAirlinePolicy Whether the airline has a policy of its own rather than the default one
+     */
+
+    function getPricingPolicy(address airline)
+        external
+        view
+        returns (
+            uint256 maxPremium,
+            uint256 payoutNumerator,
+            uint256 payoutDenominator,
+            uint8[] memory payoutStatusCodes,
+            bool isAirlinePolicy
+        )
+    {
+        PricingPolicy storage policy = pricingPolicyOf(airline);
+        return (
+            policy.maxPremium,
+            policy.payoutNumerator,
+            policy.payoutDenominator,
+            policy.payoutStatusCodes,
+            pricingPolicies[airline].isValue
+        );
+    }
+
+    /**
+     * @dev Quotes the payout of a premium on the flights of an airline
+     * @param airline The address of the airline
+     * @param premium The premium in wei
+     * @return The payout in wei if the flight is delayed with one of the payout statuses
+     */
+
+    function quote(address airline, uint256 premium)
+        public
+        view
+        returns (uint256)
+    {
+        PricingPolicy storage policy = pricingPolicyOf(airline);
+        require(
+            premium > 0,
+            "The insurance has to be purchased for more than 0 ether"
+        );
+        require(
+            premium <= policy.maxPremium,
+            "The insurance premium exceeds the maximum premium of the airline"
+        );
+        return premium.mul(policy.payoutNumerator).div(policy.payoutDenominator);
+    }
+
+    /**
+     * @dev Checks whether a flight status credits the insurees of an airline's flights
+     * @param airline The address of the airline
+     * @param statusCode The status of the flight
+     * @return bool Returns true if the insurees get their payout
+     */
+
+    function isPayoutStatus(address airline, uint8 statusCode)
+        external
+        view
+        returns (bool)
+    {
+        uint8[] storage statusCodes = pricingPolicyOf(airline).payoutStatusCodes;
+        for (uint256 i = 0; i < statusCodes.length; i++) {
+            if (statusCodes[i] == statusCode) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function pricingPolicyOf(address airline)
+        private
+        view
+        returns (PricingPolicy storage)
+    {
+        if (pricingPolicies[airline].isValue) {
+            return pricingPolicies[airline];
+        }
+        return defaultPricingPolicy;
+    }
+
+    /********************************************************************************************/
+    /*                                    AIRLINE ACCOUNTING                                    */
+    /********************************************************************************************/
+
+    /**
+     * @dev Get the insurance accounts of an airline. Its reserves are its funds and the premiums
+     *      collected, less the payouts paid, and cover its obligations: the liability of the
+     *      open policies and the credited payouts that have not been paid yet.
+     * @param airline The address of the airline
+     * @return funded The funds of the airline
+     * @return premiums The premiums collected on the airline's flights
+     * @return credited The payouts credited to the insurees
+     * @return paid The credited payouts withdrawn by the insurees
+     * @return liability The payouts of the policies that can still be credited
+     * @return capacity The payout the airline can still cover with new policies
+     */
+
+    function getAirlineAccount(address airline)
+        external
+        view
+        returns (
+            uint256 funded,
+            uint256 premiums,
+            uint256 credited,
+            uint256 paid,
+            uint256 liability,
+            uint256 capacity
+        )
+    {
+        AirlineAccount storage account = airlineAccounts[airline];
+        return (
+            funds[airline],
+            account.premiums,
+            account.credited,
+            account.paid,
+            account.liability,
+            coverageCapacity(airline)
+        );
+    }
+
+    /**
+     * @dev The reserves of an airline less its obligations, 0 when they are not covered
+     * @param airline The address of the airline
+     * @return The payout in wei the airline can still cover
+     */
+
+    function coverageCapacity(address airline) public view returns (uint256) {
+        AirlineAccount storage account = airlineAccounts[airline];
+        // The paid payouts leave both the reserves and the obligations
+        uint256 reserves = funds[airline].add(account.premiums);
+        uint256 obligations = account.liability.add(account.credited);
+        if (reserves <= obligations) {
+            return 0;
+        }
+        return reserves - obligations;
+    }
+
+    /**
+     * @dev Reconciles the balance of this contract with the vault. Every airline fund and
+     *      premium is paid in, and every payout out, so the balance is expected to be the
+     *      funds and premiums less the paid payouts.
+     * @return balance The ether held by this contract
+     * @return funded The airline funds deposited
+     * @return premiums The premiums collected
+     * @return paid The payouts withdrawn by the insurees
+     * @return expected The funds and premiums less the paid payouts
+     * @return isReconciled Whether the balance is the expected one
+     */
+
+    function getVaultBalance()
+        external
+        view
+        returns (
+            uint256 balance,
+            uint256 funded,
+            uint256 premiums,
+            uint256 paid,
+            uint256 expected,
+            bool isReconciled
+        )
+    {
+        expected = vault.funds.add(vault.premiums).sub(vault.paid);
+        return (
+            address(this).balance,
+            vault.funds,
+            vault.premiums,
+            vault.paid,
+            expected,
+            address(this).balance == expected
+        );
+    }
 }
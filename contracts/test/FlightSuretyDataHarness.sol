@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity >=0.6.0 <0.7.0;
+
+import "../FlightSuretyData.sol";
+
+/**
+ * @dev FlightSuretyData with the helpers the tests use to start over. Only deployed by the tests.
+ */
+contract FlightSuretyDataHarness is FlightSuretyData {
+    /**
+     * @dev for testing purpose only. This is to prevent "airline has already funded" and "airline is already authorized" error
+     *      The fund is sent back to the airline and leaves the vault.
+     */
+    function refund(address payable addr) external requireContractOwner {
+        uint256 amount = funds[addr];
+        funds[addr] = 0;
+        vault.funds = vault.funds.sub(amount);
+        airlines[addr].isFunded = false;
+        delete fundedAirlines;
+        delete authorizedCaller[addr];
+        delete multiSig;
+        addr.transfer(amount);
+    }
+}
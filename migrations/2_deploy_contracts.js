@@ -1,6 +1,7 @@
 const FlightSuretyApp = artifacts.require("FlightSuretyApp");
 const FlightSuretyData = artifacts.require("FlightSuretyData");
-const fs = require("fs");
+const { recordDeployment, abiHash } = require("../scripts/registry");
+const { bootstrap, readSeed, SEED_FILE } = require("../scripts/bootstrap");
 
 // module.exports = function (deployer) {
 //   let firstAirline = "0xf17f52151EbEF6C7334FAD080c5704D77216b732";
@@ -68,7 +69,7 @@ const fs = require("fs");
 //   });
 // };
 
-module.exports = function (deployer) {
+module.exports = function (deployer, network) {
   deployer.deploy(FlightSuretyData).then(() => {
     return deployer
       .deploy(FlightSuretyApp, FlightSuretyData.address)
@@ -77,28 +78,51 @@ module.exports = function (deployer) {
           FlightSuretyData.deployed(),
           FlightSuretyApp.deployed(),
         ]);
-        // App Contract needs to be added to map of authorized ones in Data Contract
-        // let result = await instances[0].authorizeCaller(
-        //   FlightSuretyApp.address
-        // );
-
-        let config = {
-          localhost: {
-            url: "http://localhost:8545",
+        const networkConfig = config.networks[network] || {};
+        const receipt = await web3.eth.getTransactionReceipt(
+          FlightSuretyData.transactionHash
+        );
+        recordDeployment(
+          network,
+          {
+            chainId: await web3.eth.getChainId(),
+            url:
+              networkConfig.url ||
+              `http://${networkConfig.host || "localhost"}:${networkConfig.port || 8545}`,
+            serverUrl: process.env.SERVER_URL || "http://localhost:3000",
+            // The dapp signs with the browser wallet unless DAPP_WALLET=ganache
+            wallet: process.env.DAPP_WALLET || "injected",
+          },
+          {
             dataAddress: FlightSuretyData.address,
             appAddress: FlightSuretyApp.address,
-          },
-        };
-        fs.writeFileSync(
-          __dirname + "/../src/dapp/config.json",
-          JSON.stringify(config, null, "\t"),
-          "utf-8"
-        );
-        fs.writeFileSync(
-          __dirname + "/../src/server/config.json",
-          JSON.stringify(config, null, "\t"),
-          "utf-8"
+            deployBlock: receipt.blockNumber,
+            abiHash: {
+              FlightSuretyApp: abiHash(
+                web3,
+                config.contracts_build_directory,
+                "FlightSuretyApp"
+              ),
+              FlightSuretyData: abiHash(
+                web3,
+                config.contracts_build_directory,
+                "FlightSuretyData"
+              ),
+            },
+          }
         );
+
+        // App Contract needs to be added to map of authorized ones in Data Contract,
+        // the seed is skipped with BOOTSTRAP=false
+        await bootstrap({
+          data: instances[0],
+          app: instances[1],
+          web3,
+          seed:
+            process.env.BOOTSTRAP === "false"
+              ? {}
+              : readSeed(process.env.SEED_FILE || SEED_FILE),
+        });
       });
   });
 };
@@ -0,0 +1,259 @@
+const fs = require("fs");
+const path = require("path");
+const { latestDeployment } = require("./registry");
+
+// Airlines, flights and oracles to set up after a deployment
+const SEED_FILE = path.join(__dirname, "..", "config", "seed.json");
+
+const AIRLINE_FUNDING = "10"; // ether, mirrors FlightSuretyData.fund
+const GAS = 3000000;
+
+const readSeed = function (file = SEED_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+};
+
+// Seed entries refer to accounts by their index in the node's accounts or by address
+const resolveAccount = function (accounts, ref) {
+  if (typeof ref !== "number") return ref;
+  if (!accounts[ref]) {
+    throw new Error(`The node has no account ${ref}`);
+  }
+  return accounts[ref];
+};
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const departureOf = function (flight) {
+  let timestamp =
+    flight.timestamp !== undefined
+      ? Number(flight.timestamp)
+      : Math.floor(Date.parse(flight.departure) / 1000);
+  if (!(timestamp > 0)) {
+    throw new Error(`Flight ${flight.flight} needs a departure or a timestamp`);
+  }
+  return timestamp;
+};
+
+const reasonOf = (error) => error.reason || error.message;
+
+const authorizeCaller = async function ({ data, owner }, caller) {
+  if (await data._isAuthorizedCaller(caller)) return false;
+  await data._authorizeCaller(caller, { from: owner });
+  return true;
+};
+
+const isFunded = async function ({ data }, airline) {
+  let funded = await data._getNumOfFundedAirlines();
+  return funded.some((address) => sameAddress(address, airline));
+};
+
+/**
+ * Registers the candidate. The first airlines are registered by the owner, and the
+ * ones after AIRLINE_THRESHOLD by the votes of the registered airlines the node can
+ * sign for, on the proposal the first vote opens.
+ */
+const registerAirline = async function (context, candidate, name) {
+  let { app, data, accounts, owner } = context;
+  let registered = await data._getRegisteredAirlines();
+  let signers = registered.filter((airline) =>
+    accounts.some((account) => sameAddress(account, airline))
+  );
+  let proposal = await app.getProposal(candidate);
+
+  if (proposal.requiredVotes.toString() === "0") {
+    await app.registerAirline(candidate, name, { from: owner, gas: GAS });
+    return;
+  }
+
+  for (let voter of signers) {
+    if (!(await isFunded(context, voter))) continue;
+    try {
+      await app.registerAirline(candidate, name, { from: voter, gas: GAS });
+    } catch (error) {
+      context.log(`  ${voter} could not vote for ${name}: ${reasonOf(error)}`);
+    }
+    if (await data._isAirline(candidate)) return;
+  }
+  throw new Error("Not enough votes from the airlines of this node");
+};
+
+const seedAirlines = async function (context, airlines = []) {
+  let { app, data, web3 } = context;
+  for (let entry of airlines) {
+    let airline = resolveAccount(context.accounts, entry.account);
+    try {
+      // Only registered airlines can pay their fund
+      if (!(await data._isAirline(airline))) {
+        await registerAirline(context, airline, entry.name);
+        context.log(`Registered ${entry.name}`);
+      }
+      if (!(await isFunded(context, airline))) {
+        await app.airlineFunding({
+          from: airline,
+          value: web3.utils.toWei(AIRLINE_FUNDING, "ether"),
+        });
+        context.log(`Funded ${entry.name} with ${AIRLINE_FUNDING} ether`);
+      }
+    } catch (error) {
+      context.failures.push(`Airline ${entry.name}: ${reasonOf(error)}`);
+    }
+  }
+};
+
+const seedFlights = async function (context, flights = []) {
+  let { app } = context;
+  for (let entry of flights) {
+    try {
+      let airline = resolveAccount(context.accounts, entry.airline);
+      let timestamp = departureOf(entry);
+      if (await app.isFlightRegistered(timestamp, airline, entry.flight)) continue;
+      await app.registerFlight(
+        timestamp,
+        airline,
+        entry.flight,
+        { from: airline }
+      );
+      context.log(`Registered flight ${entry.flight}`);
+    } catch (error) {
+      context.failures.push(`Flight ${entry.flight}: ${reasonOf(error)}`);
+    }
+  }
+};
+
+/**
+ * Commits to a random secret with the registration fee, then reveals it in the next
+ * block, which draws the indexes of the oracle
+ */
+const registerOracle = async function ({ app, web3 }, oracle, fee) {
+  let secret = web3.utils.randomHex(32);
+  let commitment = web3.utils.soliditySha3(
+    { t: "address", v: oracle },
+    { t: "bytes32", v: secret }
+  );
+  await app.registerOracle(commitment, { from: oracle, value: fee, gas: GAS });
+  await app.revealOracle(secret, { from: oracle, gas: GAS });
+};
+
+const seedOracles = async function (context, oracles = { count: 0 }) {
+  let { app, accounts } = context;
+  let first = oracles.firstAccount || 0;
+  let last = Math.min(first + oracles.count, accounts.length);
+  if (last - first < oracles.count) {
+    context.failures.push(
+      `Oracles: the node has ${Math.max(last - first, 0)} of the ${oracles.count} accounts from ${first}`
+    );
+  }
+
+  let fee = await app.REGISTRATION_FEE();
+  let registered = 0;
+  for (let i = first; i < last; i++) {
+    try {
+      if (await app.getOracle(accounts[i])) continue;
+      await registerOracle(context, accounts[i], fee);
+      registered++;
+    } catch (error) {
+      context.failures.push(`Oracle ${accounts[i]}: ${reasonOf(error)}`);
+    }
+  }
+  if (registered > 0) context.log(`Registered ${registered} oracles`);
+};
+
+/**
+ * Reads the resulting state back from the contracts
+ */
+const summarize = async function (context, seed) {
+  let { app, data, accounts, log } = context;
+  let yesNo = (value) => (value ? "yes" : "no");
+
+  log("");
+  log(`FlightSuretyData  ${data.address}`);
+  log(`FlightSuretyApp   ${app.address}`);
+  log(`  authorized on FlightSuretyData: ${yesNo(await data._isAuthorizedCaller(app.address))}`);
+
+  log("Airlines");
+  for (let entry of seed.airlines || []) {
+    let airline = resolveAccount(accounts, entry.account);
+    let [registered, funded] = await Promise.all([
+      data._isAirline(airline),
+      isFunded(context, airline),
+    ]);
+    log(`  ${entry.name}  ${airline}  registered: ${yesNo(registered)}  funded: ${yesNo(funded)}`);
+  }
+
+  log("Flights");
+  for (let entry of seed.flights || []) {
+    try {
+      let airline = resolveAccount(accounts, entry.airline);
+      let timestamp = departureOf(entry);
+      let registered = await app.isFlightRegistered(timestamp, airline, entry.flight);
+      log(`  ${entry.flight}  ${new Date(timestamp * 1000).toISOString()}  ${airline}  registered: ${yesNo(registered)}`);
+    } catch (error) {
+      log(`  ${entry.flight}  ${reasonOf(error)}`);
+    }
+  }
+
+  let oracles = await Promise.all(accounts.map((account) => app.getOracle(account)));
+  log(`Oracles  ${oracles.filter((registered) => registered).length} registered`);
+
+  if (context.failures.length > 0) {
+    log("Failed");
+    context.failures.forEach((failure) => log(`  ${failure}`));
+  }
+};
+
+/**
+ * Authorizes FlightSuretyApp on FlightSuretyData, then funds and registers the
+ * airlines, registers the flights and the oracles of the seed, and prints a summary.
+ * `app` and `data` are truffle contract instances. Steps that are already done on
+ * chain are skipped, so it can run again against the same deployment. Seeding
+ * failures are reported in the summary rather than thrown.
+ */
+const bootstrap = async function ({ app, data, web3, seed = {}, log = console.log }) {
+  let accounts = await web3.eth.getAccounts();
+  let context = {
+    app,
+    data,
+    web3,
+    accounts,
+    // Both contracts are deployed by the same account
+    owner: await app.getContractOwner(),
+    log,
+    failures: [],
+  };
+
+  if (await authorizeCaller(context, app.address)) {
+    log(`Authorized FlightSuretyApp (${app.address}) on FlightSuretyData`);
+  }
+  await seedAirlines(context, seed.airlines);
+  await seedFlights(context, seed.flights);
+  if (seed.oracles) await seedOracles(context, seed.oracles);
+  await summarize(context, seed);
+  return context.failures;
+};
+
+// truffle exec scripts/bootstrap.js [--network <name>]
+module.exports = async function (callback) {
+  try {
+    const FlightSuretyApp = artifacts.require("FlightSuretyApp");
+    const FlightSuretyData = artifacts.require("FlightSuretyData");
+    // The registry rather than the artifacts, which miss the app of an upgrade
+    let network = config.network || "development";
+    let deployment = latestDeployment(network);
+    if (!deployment) {
+      throw new Error(`Nothing is deployed on network ${network}`);
+    }
+    await bootstrap({
+      app: await FlightSuretyApp.at(deployment.appAddress),
+      data: await FlightSuretyData.at(deployment.dataAddress),
+      web3,
+      seed: readSeed(process.env.SEED_FILE || SEED_FILE),
+    });
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
+
+module.exports.SEED_FILE = SEED_FILE;
+module.exports.readSeed = readSeed;
+module.exports.bootstrap = bootstrap;
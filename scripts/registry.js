@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const { abiHash: hashAbi } = require("../src/client/abiHash");
+
+// Deployments of every network, read by the dapp and the server at build time
+const REGISTRY_FILE = path.join(__dirname, "..", "deployments.json");
+
+// Older deployments of a network are dropped past this many
+const HISTORY_LENGTH = 20;
+
+const readRegistry = function (file = REGISTRY_FILE) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+};
+
+/**
+ * The latest deployment of a network, undefined when nothing is deployed on it
+ */
+const latestDeployment = function (name, file = REGISTRY_FILE) {
+  let entry = readRegistry(file)[name];
+  return entry && entry.deployments[entry.deployments.length - 1];
+};
+
+/**
+ * Hash of the ABI in a contract's build artifact, the file the dapp and the server
+ * bundle, computed like the dapp and the server check it
+ */
+const abiHash = function (web3, buildDirectory, contractName) {
+  let artifact = JSON.parse(
+    fs.readFileSync(path.join(buildDirectory, `${contractName}.json`), "utf-8")
+  );
+  return hashAbi(web3.utils.sha3, artifact.abi);
+};
+
+/**
+ * Appends a deployment to the registry entry of the network.
+ * `network` holds how to reach the network: chainId, url, serverUrl and wallet.
+ * `deployment` holds appAddress, dataAddress, deployBlock and abiHash, and upgradedFrom
+ * when it replaced the app of the previous one.
+ */
+const recordDeployment = function (name, network, deployment, file = REGISTRY_FILE) {
+  let registry = readRegistry(file);
+  let previous = registry[name] ? registry[name].deployments : [];
+
+  registry[name] = {
+    ...network,
+    deployments: [
+      ...previous,
+      { ...deployment, deployedAt: new Date().toISOString() },
+    ].slice(-HISTORY_LENGTH),
+  };
+  fs.writeFileSync(file, JSON.stringify(registry, null, "\t"), "utf-8");
+  return registry[name];
+};
+
+module.exports = {
+  REGISTRY_FILE,
+  readRegistry,
+  latestDeployment,
+  abiHash,
+  recordDeployment,
+};
@@ -0,0 +1,77 @@
+const { readRegistry, recordDeployment, abiHash } = require("./registry");
+const { bootstrap, readSeed, SEED_FILE } = require("./bootstrap");
+
+/**
+ * Deploys a new FlightSuretyApp against the existing FlightSuretyData and swaps it
+ * in: the new app is authorized before the old one is paused and deauthorized, so
+ * FlightSuretyData always has an app. Airlines, flights, policies, credits and the
+ * vault stay on FlightSuretyData; the oracles and the open proposals of the old app
+ * don't carry over. `FlightSuretyApp` is the truffle contract, `data` and `oldApp`
+ * are instances. Resolves to the new app.
+ */
+const upgradeApp = async function ({ FlightSuretyApp, data, oldApp, log = console.log }) {
+  // Both contracts are deployed by the same account
+  let owner = await data.getContractOwner();
+  let app = await FlightSuretyApp.new(data.address, { from: owner });
+  log(`Deployed FlightSuretyApp (${app.address}) against FlightSuretyData (${data.address})`);
+
+  await data._authorizeCaller(app.address, { from: owner });
+  log(`Authorized FlightSuretyApp (${app.address}) on FlightSuretyData`);
+
+  if (await oldApp.isOperational()) {
+    await oldApp.setOperatingStatus(false, { from: owner });
+    log(`Paused FlightSuretyApp (${oldApp.address})`);
+  }
+  if (await data._isAuthorizedCaller(oldApp.address)) {
+    await data._deauthorizeCaller(oldApp.address, { from: owner });
+    log(`Deauthorized FlightSuretyApp (${oldApp.address}) on FlightSuretyData`);
+  }
+  return app;
+};
+
+// truffle exec scripts/upgrade.js [--network <name>]
+module.exports = async function (callback) {
+  try {
+    const FlightSuretyApp = artifacts.require("FlightSuretyApp");
+    const FlightSuretyData = artifacts.require("FlightSuretyData");
+    let network = config.network || "development";
+    let entry = readRegistry()[network];
+    if (!entry) {
+      throw new Error(`Nothing is deployed on network ${network}, run truffle migrate first`);
+    }
+    let { deployments, ...settings } = entry;
+    let deployment = deployments[deployments.length - 1];
+
+    let data = await FlightSuretyData.at(deployment.dataAddress);
+    let oldApp = await FlightSuretyApp.at(deployment.appAddress);
+    let app = await upgradeApp({ FlightSuretyApp, data, oldApp });
+
+    // The data contract keeps its deploy block, the events of its policies start there
+    recordDeployment(network, settings, {
+      dataAddress: data.address,
+      appAddress: app.address,
+      deployBlock: deployment.deployBlock,
+      upgradedFrom: oldApp.address,
+      abiHash: {
+        FlightSuretyApp: abiHash(web3, config.contracts_build_directory, "FlightSuretyApp"),
+        FlightSuretyData: abiHash(web3, config.contracts_build_directory, "FlightSuretyData"),
+      },
+    });
+
+    // Registers the oracles of the seed on the new app, the seed is skipped with BOOTSTRAP=false
+    await bootstrap({
+      app,
+      data,
+      web3,
+      seed:
+        process.env.BOOTSTRAP === "false"
+          ? {}
+          : readSeed(process.env.SEED_FILE || SEED_FILE),
+    });
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
+
+module.exports.upgradeApp = upgradeApp;
@@ -0,0 +1,13 @@
+// CommonJS rather than an ES module, so the truffle scripts can require it as well
+
+/**
+ * Hash of an ABI, recorded with each deployment so a build can tell whether its artifacts
+ * match the chain. truffle adds the legacy `constant` and `payable` flags when it saves the
+ * artifacts at the end of a migration, so they are left out of the hash.
+ * `sha3` is web3.utils.sha3.
+ */
+function abiHash(sha3, abi) {
+    return sha3(JSON.stringify(abi.map(({ constant, payable, ...entry }) => entry)));
+}
+
+module.exports = { abiHash };
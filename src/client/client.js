@@ -0,0 +1,133 @@
+import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
+import FlightSuretyData from '../../build/contracts/FlightSuretyData.json';
+import ContractClient from './contract';
+import { staleContracts } from './deployments';
+import { toBN, toWei, fromWei } from './units';
+
+/**
+ * Client of a FlightSurety deployment, shared by the dapp and the server.
+ * `app` and `data` expose every function of FlightSuretyApp and FlightSuretyData
+ * as async methods, see ContractClient.
+ */
+export default class FlightSuretyClient {
+    /**
+     * @param web3 connected to the node or wallet to use
+     * @param config the `appAddress` and `dataAddress` of the deployment, see findDeployment
+     * @param defaults transaction options applied to every call, e.g. { gas }
+     */
+    constructor(web3, config, defaults = {}) {
+        this.web3 = web3;
+        this.defaults = defaults;
+        this.app = new ContractClient(web3, FlightSuretyApp.abi, config.appAddress, defaults);
+        this.data = new ContractClient(web3, FlightSuretyData.abi, config.dataAddress, defaults);
+    }
+
+    /**
+     * Names of the contracts whose ABI in build/contracts no longer matches the deployment
+     */
+    staleContracts(deployment) {
+        return staleContracts(deployment, {
+            FlightSuretyApp: FlightSuretyApp.abi,
+            FlightSuretyData: FlightSuretyData.abi
+        });
+    }
+
+    /**
+     * Insurance accounts of an airline, in wei, from FlightSuretyData.getAirlineAccount.
+     * `reserves` are its funds and premiums less the paid payouts, `obligations` the
+     * liability of its open policies and the credited payouts not paid yet, and
+     * `reserveRatio` the reserves per unit of obligations as an ether string, or null
+     * while the airline has no obligations.
+     */
+    async getAirlineAccount(airline) {
+        let account = await this.data.getAirlineAccount(airline);
+        let reserves = toBN(account.funded).add(toBN(account.premiums)).sub(toBN(account.paid));
+        let obligations = toBN(account.liability).add(toBN(account.credited)).sub(toBN(account.paid));
+        return {
+            funds: account.funded,
+            premiums: account.premiums,
+            credited: account.credited,
+            paid: account.paid,
+            liability: account.liability,
+            capacity: account.capacity,
+            reserves: reserves.toString(),
+            obligations: obligations.toString(),
+            reserveRatio: obligations.isZero()
+                ? null
+                : fromWei(reserves.mul(toBN(toWei(1))).div(obligations))
+        };
+    }
+
+    /**
+     * Latest oracle request for a flight, from FlightSuretyApp.getOracleRequest.
+     * `state` is one of the REQUEST_* states and `statusCode` the status the oracles agreed
+     * on once it is REQUEST_RESOLVED. `index` is the index of the oracles asked, null until
+     * a request was made.
+     */
+    async getOracleRequest(airline, flight, timestamp) {
+        let request = await this.app.getOracleRequest(airline, flight, timestamp);
+        let requestBlock = Number(request.requestBlock);
+        let index = null;
+        if (requestBlock > 0) {
+            let block = await this.web3.eth.getBlock(requestBlock);
+            index = this.getRequestIndex(block.hash, airline, flight, timestamp);
+        }
+        return {
+            airline: airline,
+            flight: flight,
+            timestamp: Number(timestamp),
+            index: index,
+            state: Number(request.state),
+            statusCode: Number(request.statusCode),
+            deadline: Number(request.deadline),
+            responseCount: Number(request.responseCount),
+            requester: request.requester,
+            fee: request.fee,
+            requestBlock: requestBlock
+        };
+    }
+
+    /**
+     * Index of the oracles asked for a flight status, drawn like FlightSuretyApp from the
+     * hash of the block the request was mined in
+     */
+    getRequestIndex(blockHash, airline, flight, timestamp) {
+        let utils = this.web3.utils;
+        let key = utils.soliditySha3({ t: 'address', v: airline }, { t: 'string', v: flight }, { t: 'uint256', v: timestamp });
+        let seed = utils.soliditySha3({ t: 'bytes32', v: blockHash }, { t: 'bytes32', v: key });
+        return utils.toBN(utils.soliditySha3({ t: 'bytes32', v: seed }, { t: 'uint256', v: 0 })).modn(10);
+    }
+
+    /**
+     * Registers an oracle in two steps: commits to a random secret with the registration fee,
+     * then reveals it once the commitment is mined, which draws the indexes of the oracle.
+     */
+    async registerOracle(oracle, options = {}) {
+        let secret = this.web3.utils.randomHex(32);
+        let commitment = this.web3.utils.soliditySha3({ t: 'address', v: oracle }, { t: 'bytes32', v: secret });
+        let fee = await this.app.REGISTRATION_FEE();
+        let commit = await this.app.registerOracle(commitment, { ...options, from: oracle, value: fee });
+        let dryRun = await this.isPastBlock(commit.blockNumber);
+        return this.app.revealOracle(secret, { ...options, from: oracle, dryRun: dryRun });
+    }
+
+    /**
+     * Whether the chain has mined a block after blockNumber. eth_call runs in the latest
+     * block, which can't read its own hash, so a transaction that needs the hash of a block
+     * can only be dry run once the chain is past it.
+     */
+    async isPastBlock(blockNumber) {
+        return await this.web3.eth.getBlockNumber() > Number(blockNumber);
+    }
+
+    /**
+     * Key of a flight, packed like FlightSuretyApp.getFlightKey but computed locally
+     */
+    getFlightKey(airline, flight, timestamp) {
+        return this.web3.utils.soliditySha3(
+            { t: 'address', v: airline },
+            { t: 'string', v: flight },
+            { t: 'uint256', v: timestamp }
+        );
+    }
+}
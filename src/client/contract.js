@@ -0,0 +1,105 @@
+import { ContractError, toContractError } from './errors';
+
+/**
+ * Promise based wrapper of a deployed contract, generated from its ABI.
+ *
+ * Every function of the ABI becomes an async method taking the function's
+ * arguments, optionally followed by transaction options ({ from, value, gas }):
+ *
+ *     await client.app.isFlightRegistered(timestamp, airline, flight);
+ *     await client.app.buyInsurance(airline, flight, timestamp, { from: passenger, value: toWei('0.5') });
+ *
+ * view and pure functions resolve with the decoded return value. Other functions
+ * are dry run with eth_call first, so a revert rejects with its reason before
+ * anything is mined, and then resolve with the transaction receipt. The option
+ * dryRun: false skips the dry run of a transaction that can only succeed after
+ * the latest block, e.g. one reading its hash.
+ * Failures reject with a ContractError.
+ */
+export default class ContractClient {
+    constructor(web3, abi, address, defaults = {}) {
+        this.web3 = web3;
+        this.abi = abi;
+        this.address = address;
+        this.defaults = defaults;
+        // web3 annotates the ABI entries it is given, keep the artifact's ABI as it is on disk
+        this.contract = new web3.eth.Contract(JSON.parse(JSON.stringify(abi)), address);
+
+        abi.filter((item) => item.type === 'function').forEach((item) => {
+            if (item.name in this) {
+                throw new Error(`${item.name} of the ABI clashes with a ContractClient member`);
+            }
+            this[item.name] = (...args) => this.isReadOnly(item)
+                ? this.call(item.name, ...args)
+                : this.send(item.name, ...args);
+        });
+    }
+
+    isReadOnly(item) {
+        return item.stateMutability === 'view' || item.stateMutability === 'pure' || item.constant === true;
+    }
+
+    // Splits the trailing transaction options off the function arguments
+    prepare(name, args) {
+        let item = this.abi.find((entry) => entry.type === 'function' && entry.name === name);
+        if (!item) {
+            throw new ContractError(`The contract has no function ${name}`, null, name, null);
+        }
+
+        let options = args.length === item.inputs.length + 1 ? args[args.length - 1] : {};
+        let inputs = args.slice(0, item.inputs.length);
+        if (inputs.length !== item.inputs.length) {
+            throw new ContractError(`${name} takes ${item.inputs.length} arguments`, null, name, null);
+        }
+        return { method: this.contract.methods[name](...inputs), options: { ...this.defaults, ...options } };
+    }
+
+    /**
+     * Runs any function with eth_call and resolves with what it returns, without mining a transaction
+     */
+    async call(name, ...args) {
+        let { method, options } = this.prepare(name, args);
+        try {
+            return await method.call(options);
+        } catch (error) {
+            throw toContractError(error, name);
+        }
+    }
+
+    /**
+     * Sends a transaction after a dry run and resolves with the receipt
+     */
+    async send(name, ...args) {
+        let { method, options } = this.prepare(name, args);
+        let { dryRun = true, ...sendOptions } = options;
+        try {
+            // A mined failed transaction doesn't carry the revert reason, the dry run does
+            if (dryRun) await method.call(sendOptions);
+            return await method.send(sendOptions);
+        } catch (error) {
+            throw toContractError(error, name);
+        }
+    }
+
+    /**
+     * Past events of the contract, 'allEvents' for every event
+     */
+    async getEvents(eventName, options = { fromBlock: 0 }) {
+        try {
+            return await this.contract.getPastEvents(eventName, options);
+        } catch (error) {
+            throw toContractError(error, eventName);
+        }
+    }
+
+    /**
+     * Calls back with (error, event) for every new event, which needs a provider
+     * with subscriptions such as a WebSocket. Returns a function that unsubscribes.
+     */
+    subscribe(eventName, callback, options = {}) {
+        let subscription = this.contract.events[eventName](options)
+            .on('data', (event) => callback(null, event))
+            .on('error', (error) => callback(toContractError(error, eventName)));
+        return () => subscription.unsubscribe();
+    }
+}
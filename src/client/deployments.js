@@ -0,0 +1,52 @@
+import Web3 from 'web3';
+import { abiHash } from './abiHash';
+
+const { utils } = Web3;
+
+/**
+ * Picks a deployment out of the registry written by the migrations, by network
+ * name or else by chain id. With neither, a registry of a single network
+ * resolves to it. Several networks on the same chain id (ganache and a local
+ * fork both use 1337) resolve to the most recently deployed one.
+ *
+ * Resolves to the network settings merged with its latest deployment:
+ * { network, chainId, url, serverUrl, wallet, appAddress, dataAddress, deployBlock, abiHash }
+ * and `previousAppAddresses`, the apps that FlightSuretyData had before the
+ * upgrades to the latest one, oldest first.
+ */
+export function findDeployment(registry, { network, chainId } = {}) {
+    let names = Object.keys(registry);
+    let name = network;
+    if (!name && chainId !== undefined && chainId !== null) {
+        name = names
+            .filter((key) => Number(registry[key].chainId) === Number(chainId))
+            .sort((a, b) => latest(registry[b]).deployedAt.localeCompare(latest(registry[a]).deployedAt))[0];
+        if (!name) throw new Error(`Nothing is deployed on chain ${Number(chainId)}, switch the wallet to one of: ${names.join(', ')}`);
+    }
+    if (!name && names.length === 1) name = names[0];
+    if (!name) throw new Error(`Pick a network with FLIGHTSURETY_NETWORK, one of: ${names.join(', ')}`);
+
+    let entry = registry[name];
+    if (!entry) throw new Error(`Nothing is deployed on network ${name}`);
+
+    let { deployments, ...settings } = entry;
+    let deployment = latest(entry);
+    let previousAppAddresses = deployments
+        .filter((item) => item !== deployment && item.dataAddress === deployment.dataAddress)
+        .map((item) => item.appAddress);
+    return { network: name, ...settings, ...deployment, previousAppAddresses: previousAppAddresses };
+}
+
+/**
+ * Names of the contracts whose ABI differs from the one recorded at deployment,
+ * meaning the build is out of date with the chain
+ */
+export function staleContracts(deployment, abis) {
+    return Object.keys(abis).filter((name) =>
+        deployment.abiHash && deployment.abiHash[name] && deployment.abiHash[name] !== abiHash(utils.sha3, abis[name])
+    );
+}
+
+function latest(entry) {
+    return entry.deployments[entry.deployments.length - 1];
+}
@@ -0,0 +1,59 @@
+import Web3 from 'web3';
+
+const { utils } = Web3;
+
+// Selector of Error(string), the payload of require() and revert() with a reason
+const ERROR_SELECTOR = '0x08c379a0';
+
+/**
+ * A contract call or transaction that failed.
+ * `reason` is the revert reason, an empty string for a revert without one and
+ * null when the failure wasn't a revert (network, signing, gas).
+ */
+export class ContractError extends Error {
+    constructor(message, reason, method, cause) {
+        super(message);
+        this.name = 'ContractError';
+        this.reason = reason;
+        this.method = method;
+        this.cause = cause;
+        // Receipt of a transaction that was mined and reverted
+        this.receipt = (cause && cause.receipt) || null;
+    }
+}
+
+/**
+ * The revert reason carried by an error from web3, a wallet or ganache, or null if it isn't a revert
+ */
+export function revertReason(error) {
+    let data = revertData(error);
+    if (data) return decodeErrorString(data);
+
+    // ganache reports "revert <reason>", wallets "execution reverted: <reason>"
+    let match = /\b(?:revert\b|reverted:)\s*(.*)$/m.exec(error.message || '');
+    if (match) return match[1].trim();
+
+    // A mined transaction that reverted, web3 only has its receipt
+    return /reverted by the EVM/.test(error.message || '') ? '' : null;
+}
+
+export function toContractError(error, method = null) {
+    if (error instanceof ContractError) return error;
+
+    let reason = revertReason(error);
+    let message = reason === null ? error.message : reason || 'Transaction reverted';
+    return new ContractError(message, reason, method, error);
+}
+
+// The encoded Error(string) of a revert, wherever the provider nested it
+function revertData(error) {
+    let candidates = [error.data, error.data && error.data.data, error.data && error.data.originalError && error.data.originalError.data];
+    return candidates.find((data) => typeof data === 'string' && data.startsWith(ERROR_SELECTOR)) || null;
+}
+
+function decodeErrorString(data) {
+    // selector, then the string's offset and length as 32 byte words, then its bytes
+    let body = data.slice(ERROR_SELECTOR.length);
+    let length = parseInt(body.slice(64, 128), 16);
+    return utils.hexToUtf8('0x' + body.slice(128, 128 + length * 2));
+}
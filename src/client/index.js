@@ -0,0 +1,6 @@
+export { default } from './client';
+export { default as ContractClient } from './contract';
+export { findDeployment } from './deployments';
+export { ContractError, revertReason, toContractError } from './errors';
+export { toBN, toWei, fromWei } from './units';
+export * from './statusCodes';
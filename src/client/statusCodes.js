@@ -0,0 +1,51 @@
+// Flight status codes, mirrored from FlightSuretyApp
+export const STATUS_CODE_UNKNOWN = 0;
+export const STATUS_CODE_ON_TIME = 10;
+export const STATUS_CODE_LATE_AIRLINE = 20;
+export const STATUS_CODE_LATE_WEATHER = 30;
+export const STATUS_CODE_LATE_TECHNICAL = 40;
+export const STATUS_CODE_LATE_OTHER = 50;
+
+export const STATUS_CODES = [
+    STATUS_CODE_UNKNOWN,
+    STATUS_CODE_ON_TIME,
+    STATUS_CODE_LATE_AIRLINE,
+    STATUS_CODE_LATE_WEATHER,
+    STATUS_CODE_LATE_TECHNICAL,
+    STATUS_CODE_LATE_OTHER
+];
+
+export const STATUS_LABELS = {
+    [STATUS_CODE_UNKNOWN]: 'Unknown',
+    [STATUS_CODE_ON_TIME]: 'On time',
+    [STATUS_CODE_LATE_AIRLINE]: 'Late (airline)',
+    [STATUS_CODE_LATE_WEATHER]: 'Late (weather)',
+    [STATUS_CODE_LATE_TECHNICAL]: 'Late (technical)',
+    [STATUS_CODE_LATE_OTHER]: 'Late (other)'
+};
+
+// States of an oracle request, mirrored from FlightSuretyApp.getOracleRequest
+export const REQUEST_UNKNOWN = 0;
+export const REQUEST_PENDING = 1;
+export const REQUEST_RESOLVED = 2;
+export const REQUEST_EXPIRED = 3;
+
+export const REQUEST_LABELS = {
+    [REQUEST_UNKNOWN]: 'Not requested',
+    [REQUEST_PENDING]: 'Pending',
+    [REQUEST_RESOLVED]: 'Resolved',
+    [REQUEST_EXPIRED]: 'Expired'
+};
+
+// States of an airline proposal, mirrored from FlightSuretyApp.getProposal
+export const PROPOSAL_NONE = 0;
+export const PROPOSAL_OPEN = 1;
+export const PROPOSAL_ADMITTED = 2;
+export const PROPOSAL_EXPIRED = 3;
+
+export const PROPOSAL_LABELS = {
+    [PROPOSAL_NONE]: 'Not proposed',
+    [PROPOSAL_OPEN]: 'Open',
+    [PROPOSAL_ADMITTED]: 'Admitted',
+    [PROPOSAL_EXPIRED]: 'Expired'
+};
@@ -0,0 +1,24 @@
+import Web3 from 'web3';
+
+const { utils } = Web3;
+
+/**
+ * BN of a wei amount given as a number, numeric string or BN
+ */
+export function toBN(value) {
+    return utils.isBN(value) ? value : utils.toBN(String(value));
+}
+
+/**
+ * Wei string of an ether amount, e.g. toWei('0.5') === '500000000000000000'
+ */
+export function toWei(ether) {
+    return utils.toWei(String(ether), 'ether');
+}
+
+/**
+ * Ether string of a wei amount, e.g. fromWei('500000000000000000') === '0.5'
+ */
+export function fromWei(wei) {
+    return utils.fromWei(toBN(wei), 'ether');
+}
@@ -0,0 +1,58 @@
+// api.maxPageSize in src/server/settings.json
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Client for the REST API of the server
+ */
+export default class Api {
+    constructor(serverUrl) {
+        this.serverUrl = serverUrl;
+    }
+
+    async get(path) {
+        let response = await fetch(`${this.serverUrl}/api${path}`);
+        let body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error || `Request failed with status ${response.status}`);
+        }
+        return body;
+    }
+
+    async post(path, body) {
+        let response = await fetch(`${this.serverUrl}/api${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        let result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Request failed with status ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Every registered flight, read page by page at the largest page size the server allows
+     */
+    async getFlights() {
+        let flights = [];
+        for (let page = 1; ; page++) {
+            let result = await this.get(`/flights?page=${page}&pageSize=${MAX_PAGE_SIZE}`);
+            flights.push(...result.items);
+            if (result.items.length === 0 || flights.length >= result.total) return flights;
+        }
+    }
+
+    /**
+     * Uploads a CSV or JSON schedule file of the airline, the server parses it into its flights
+     * and tells which of them are registered already
+     */
+    async parseSchedule(airline, file) {
+        let format = /\.csv$/i.test(file.name) ? 'csv' : 'json';
+        return this.post('/flights/schedule', {
+            airline: airline,
+            format: format,
+            contents: await file.text()
+        });
+    }
+}
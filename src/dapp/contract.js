@@ -1,56 +1,531 @@
-import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
-import Config from './config.json';
+import Registry from '../../deployments.json';
 import Web3 from 'web3';
+import WalletProvider from './wallet';
+import FlightSuretyClient, { findDeployment, fromWei, toWei } from '../client';
 
-export default class Contract {
-    constructor(network, callback) {
+const GAS = 3000000;
+const AIRLINE_FUNDING = '10'; // ether, mirrors FlightSuretyData.fund
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'; // the default pricing policy
 
-        let config = Config[network];
-        this.web3 = new Web3(new Web3.providers.HttpProvider(config.url));
-        this.flightSuretyApp = new this.web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
-        this.initialize(callback);
+/**
+ * The dapp's session with the contracts: the wallet, its accounts and their roles,
+ * and the passenger and airline flows built on the shared FlightSuretyClient.
+ * Contract calls reject with a ContractError carrying the revert reason.
+ */
+export default class Contract {
+    /**
+     * Connects to the deployment of the network, or to the one on the wallet's
+     * chain when no network is given. Call initialize() to connect.
+     */
+    constructor(network) {
+        this.network = network || null;
+        this.deployment = null;
+        this.wallet = null;
+        this.ethereum = null;
+        this.web3 = null;
+        this.client = null;
+        this.serverUrl = null;
+        this.listeners = { accountsChanged: [], chainChanged: [] };
         this.owner = null;
-        this.airlines = [];
-        this.passengers = [];
+        this.dataOwner = null;
+        this.account = null;
+        this.accounts = [];
+        this.roles = {};
     }
 
-    initialize(callback) {
-        this.web3.eth.getAccounts((error, accts) => {
-           
-            this.owner = accts[0];
+    /**
+     * Signs with the browser's EIP-1193 wallet, or with the unlocked ganache accounts
+     * when the network was deployed with DAPP_WALLET=ganache. Loads the accounts and
+     * their roles.
+     */
+    async initialize() {
+        let self = this;
+        let ethereum = typeof window !== 'undefined' ? window.ethereum : undefined;
+        let chainId = !self.network && ethereum ? await ethereum.request({ method: 'eth_chainId' }) : null;
+        let deployment = findDeployment(Registry, { network: self.network, chainId: chainId });
 
-            let counter = 1;
-            
-            while(this.airlines.length < 5) {
-                this.airlines.push(accts[counter++]);
-            }
+        self.deployment = deployment;
+        self.wallet = deployment.wallet === 'ganache' ? 'ganache' : 'injected';
+        if (self.wallet === 'injected' && !ethereum) {
+            throw new Error('No Ethereum wallet found, install MetaMask or deploy with DAPP_WALLET=ganache');
+        }
+        self.ethereum = self.wallet === 'injected' ? ethereum : null;
+        self.web3 = new Web3(self.ethereum
+            ? new WalletProvider(self.ethereum)
+            : new Web3.providers.HttpProvider(deployment.url));
+        self.client = new FlightSuretyClient(self.web3, deployment, { gas: GAS });
+        self.serverUrl = deployment.serverUrl;
 
-            while(this.passengers.length < 5) {
-                this.passengers.push(accts[counter++]);
-            }
+        let accounts = self.ethereum
+            ? await self.ethereum.request({ method: 'eth_requestAccounts' })
+            : await self.web3.eth.getAccounts();
+        await self.setAccounts(accounts);
 
-            callback();
-        });
+        if (self.ethereum) {
+            self.ethereum.on('accountsChanged', (accts) => {
+                self.setAccounts(accts).then(() => self.emit('accountsChanged', self.accounts));
+            });
+            self.ethereum.on('chainChanged', (chainId) => self.emit('chainChanged', chainId));
+        }
     }
 
-    isOperational(callback) {
-       let self = this;
-       self.flightSuretyApp.methods
-            .isOperational()
-            .call({ from: self.owner}, callback);
+    /**
+     * Listens to `accountsChanged` and `chainChanged` of the wallet
+     */
+    on(event, listener) {
+        this.listeners[event].push(listener);
     }
 
-    fetchFlightStatus(flight, callback) {
+    emit(event, value) {
+        this.listeners[event].forEach((listener) => listener(value));
+    }
+
+    // The first account is the active one, as wallets order the selected account first
+    async setAccounts(accts) {
         let self = this;
+        self.accounts = accts.map((account) => self.web3.utils.toChecksumAddress(account));
+        self.account = self.accounts.length > 0 ? self.accounts[0] : null;
+        [self.owner, self.dataOwner] = await Promise.all([
+            self.client.app.getContractOwner(),
+            self.client.data.getContractOwner()
+        ]);
+
+        let roles = await Promise.all(self.accounts.map((account) => self.getRoles(account)));
+        self.roles = {};
+        self.accounts.forEach((account, i) => self.roles[account] = roles[i]);
+    }
+
+    /**
+     * The roles of an account on chain: owner of the contracts, registered airline and
+     * registered oracle. Every account can buy insurance as a passenger.
+     */
+    async getRoles(account) {
+        let [isAirline, isOracle] = await Promise.all([
+            // _isAirline reverts while FlightSuretyData is paused, the owner still has to get in to resume it
+            this.client.data._isAirline(account).catch(() => false),
+            this.client.app.getOracle(account)
+        ]);
+        let roles = [];
+        if (account === this.owner || account === this.dataOwner) roles.push('owner');
+        if (isAirline) roles.push('airline');
+        if (isOracle) roles.push('oracle');
+        roles.push('passenger');
+
+        this.roles[account] = roles;
+        return roles;
+    }
+
+    isOperational() {
+        return this.client.app.isOperational();
+    }
+
+    /**
+     * Registers the flights of a parsed schedule one by one through the wallet of the airline.
+     * Resolves with the `imported` flights, the `skipped` ones that were registered already and
+     * the `failed` ones with their error.
+     */
+    async importSchedule(airline, flights) {
+        let result = { imported: [], skipped: [], failed: [] };
+        // One at a time so the airline's transactions don't race for the same nonce
+        for (let entry of flights) {
+            if (entry.isRegistered) {
+                result.skipped.push(entry);
+                continue;
+            }
+            try {
+                result.imported.push(await this.registerFlight(airline, entry.flight, entry.timestamp));
+            } catch (error) {
+                result.failed.push({ ...entry, error: error.message });
+            }
+        }
+        return result;
+    }
+
+    getFlightKey(airline, flight, timestamp) {
+        return this.client.getFlightKey(airline, flight, timestamp);
+    }
+
+    /**
+     * Asks the oracles for the status of a registered flight, paying the request fee.
+     * Resolves with the airline, flight and timestamp the request was made for, the
+     * index of the oracles it was sent to, the unix time its responses are due by and
+     * the fee in ether.
+     */
+    async fetchFlightStatus(flight) {
         let payload = {
-            airline: self.airlines[0],
-            flight: flight,
-            timestamp: Math.floor(Date.now() / 1000)
-        } 
-        self.flightSuretyApp.methods
-            .fetchFlightStatus(payload.airline, payload.flight, payload.timestamp)
-            .send({ from: self.owner}, (error, result) => {
-                callback(error, payload);
+            airline: flight.airline,
+            flight: flight.flight,
+            timestamp: flight.timestamp
+        };
+        let fee = await this.client.app.REQUEST_FEE();
+        await this.client.app.fetchFlightStatus(payload.airline, payload.flight, payload.timestamp, { from: this.account, value: fee });
+        // A request that was still pending keeps its index and deadline
+        let request = await this.getOracleRequest(payload);
+        return { ...payload, index: request.index, deadline: request.deadline, fee: fromWei(fee) };
+    }
+
+    /**
+     * State of an oracle request made by fetchFlightStatus, see FlightSuretyClient.getOracleRequest
+     */
+    getOracleRequest(request) {
+        return this.client.getOracleRequest(request.airline, request.flight, request.timestamp);
+    }
+
+    /**
+     * Registers a flight of the airline departing at the given unix timestamp.
+     * Resolves with the flight and its flight key.
+     */
+    async registerFlight(airline, flight, timestamp) {
+        if (!flight || !flight.trim()) {
+            throw new Error('The flight needs a flight number');
+        }
+        if (!(timestamp > 0)) {
+            throw new Error('The flight needs a departure time');
+        }
+
+        let payload = { airline: airline, flight: flight.trim(), timestamp: timestamp };
+        if (await this.client.app.isFlightRegistered(payload.timestamp, payload.airline, payload.flight)) {
+            throw new Error('The flight is already registered');
+        }
+
+        let receipt = await this.client.app.registerFlight(payload.timestamp, payload.airline, payload.flight, { from: airline });
+        return {
+            ...payload,
+            flightKey: this.getFlightKey(payload.airline, payload.flight, payload.timestamp),
+            transactionHash: receipt.transactionHash
+        };
+    }
+
+    /**
+     * Buys insurance on a registered flight for the passenger.
+     * Resolves with the InsuranceBought receipt emitted by the data contract.
+     */
+    async buyInsurance(passenger, flight, amount) {
+        // Rejects premiums the pricing policy of the airline doesn't accept
+        await this.getQuote(flight, amount);
+        if (!await this.isOperational()) {
+            throw new Error('The contract is not operational, insurance cannot be bought right now');
+        }
+
+        let receipt = await this.client.app.buyInsurance(flight.airline, flight.flight, flight.timestamp, { from: passenger, value: toWei(amount) });
+        let events = await this.client.data.getEvents('InsuranceBought', { fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber });
+        let event = events.find((event) => event.transactionHash === receipt.transactionHash);
+        return {
+            transactionHash: receipt.transactionHash,
+            flight: flight.flight,
+            flightKey: event.returnValues.flightKey,
+            amount: fromWei(event.returnValues.amount)
+        };
+    }
+
+    /**
+     * What a premium on the flight pays out under the pricing policy of its airline,
+     * and the statuses that pay out
+     */
+    async getQuote(flight, amount) {
+        if (!(Number(amount) > 0)) {
+            throw new Error('The insurance has to be purchased for more than 0 ether');
+        }
+        let [payout, policy] = await Promise.all([
+            this.client.data.quote(flight.airline, toWei(amount)),
+            this.getPricingPolicy(flight.airline)
+        ]);
+        return {
+            premium: String(amount),
+            payout: fromWei(payout),
+            maxPremium: policy.maxPremium,
+            payoutStatusCodes: policy.payoutStatusCodes
+        };
+    }
+
+    /**
+     * The pricing policy that applies to an airline, the default one for address(0)
+     */
+    async getPricingPolicy(airline) {
+        let policy = await this.client.data.getPricingPolicy(airline);
+        return {
+            airline: airline,
+            maxPremium: fromWei(policy.maxPremium),
+            multiplier: Number(policy.payoutNumerator) / Number(policy.payoutDenominator),
+            payoutStatusCodes: policy.payoutStatusCodes.map(Number),
+            isAirlinePolicy: policy.isAirlinePolicy
+        };
+    }
+
+    /**
+     * The default pricing policy, then the policies of the airlines that have their own,
+     * replayed from the PricingPolicyUpdated and PricingPolicyRemoved events
+     */
+    async getPricingPolicies() {
+        let options = { fromBlock: this.deployment.deployBlock || 0 };
+        let [updated, removed] = await Promise.all([
+            this.client.data.getEvents('PricingPolicyUpdated', options),
+            this.client.data.getEvents('PricingPolicyRemoved', options)
+        ]);
+        let airlines = new Set();
+        updated.concat(removed)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+            .forEach((event) => {
+                let airline = event.returnValues.airline;
+                if (event.event === 'PricingPolicyRemoved') airlines.delete(airline);
+                else if (airline !== ZERO_ADDRESS) airlines.add(airline);
             });
+        return Promise.all([ZERO_ADDRESS, ...airlines].map((airline) => this.getPricingPolicy(airline)));
+    }
+
+    /**
+     * Sets the pricing policy of an airline, or the default one when no airline is given,
+     * from the owner's account. The multiplier is a decimal such as 1.5, kept to two decimals.
+     */
+    async setPricingPolicy(airline, maxPremium, multiplier, payoutStatusCodes) {
+        airline = airline || ZERO_ADDRESS;
+        if (!this.web3.utils.isAddress(airline)) {
+            throw new Error('Enter a valid airline address');
+        }
+        if (!(Number(multiplier) > 0)) {
+            throw new Error('The payout multiplier must be more than 0');
+        }
+        if (!(Number(maxPremium) > 0)) {
+            throw new Error('The maximum premium must be more than 0');
+        }
+        let receipt = await this.client.data.setPricingPolicy(
+            airline, toWei(maxPremium), Math.round(Number(multiplier) * 100), 100, payoutStatusCodes,
+            { from: this.requireDataOwner() }
+        );
+        return { transactionHash: receipt.transactionHash };
+    }
+
+    /**
+     * Puts an airline back on the default pricing policy, from the owner's account
+     */
+    async removePricingPolicy(airline) {
+        let receipt = await this.client.data.removePricingPolicy(airline, { from: this.requireDataOwner() });
+        return { transactionHash: receipt.transactionHash };
+    }
+
+    /**
+     * The policies of a passenger, one per insured flight, with their premium and payout,
+     * whether the payout was credited, released or withdrawn, and the statuses that pay it
+     * out under the pricing policy of the airline. Also resolves with the credit the
+     * passenger can withdraw.
+     */
+    async getPolicies(passenger) {
+        let flightKeys = await this.client.data.policiesQuery(passenger);
+        if (flightKeys.length === 0) return { policies: [], credit: '0' };
+
+        let [pendingCredit, flights] = await Promise.all([
+            this.client.data.pendingCreditQuery(passenger),
+            this.client.data.getEvents('FlightRegistered', { fromBlock: this.deployment.deployBlock || 0 })
+        ]);
+        let pricing = {};
+        let policies = await Promise.all(flightKeys.map(async (flightKey) => {
+            let insurance = await this.client.data.insuranceQuery(passenger, flightKey);
+            let registered = flights.find((event) => event.returnValues.flightKey === flightKey);
+            let airline = registered ? registered.returnValues.airline : null;
+            if (airline && !pricing[airline]) pricing[airline] = this.getPricingPolicy(airline);
+            return {
+                flightKey: flightKey,
+                flight: registered ? registered.returnValues.flight : flightKey,
+                timestamp: registered ? registered.returnValues.timestamp : null,
+                premium: fromWei(insurance[0]),
+                payout: fromWei(insurance[1]),
+                isCredited: insurance[2],
+                isReleased: insurance[3],
+                isPaid: insurance[4],
+                payoutStatusCodes: airline ? (await pricing[airline]).payoutStatusCodes : []
+            };
+        }));
+        return { policies: policies, credit: fromWei(pendingCredit) };
+    }
+
+    /**
+     * Withdraws the pending credit of a passenger.
+     * Resolves with the amount of the InsurancePayoutPaid event.
+     */
+    async withdraw(passenger) {
+        let receipt = await this.client.app.withdrawPayout({ from: passenger });
+        let events = await this.client.data.getEvents('InsurancePayoutPaid', { fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber });
+        let event = events.find((event) => event.transactionHash === receipt.transactionHash);
+        return {
+            transactionHash: receipt.transactionHash,
+            amount: fromWei(event.returnValues.amount)
+        };
+    }
+
+    /**
+     * Registration and funding status of an airline
+     */
+    async getAirlineStatus(airline) {
+        let [isRegistered, account, fundedAirlines] = await Promise.all([
+            this.client.data._isAirline(airline),
+            this.client.data.getAirlineAccount(airline),
+            this.client.app.getNumOfFundedAirlines()
+        ]);
+        // checkFunds reverts until the airline has provided its fund, and is an error after that
+        let isFunded = account.funded !== '0';
+        let funds = isFunded ? await this.client.app.checkFunds({ from: airline }) : '0';
+        return {
+            isRegistered: isRegistered,
+            isFunded: isFunded,
+            funds: fromWei(funds),
+            fundedAirlines: Number(fundedAirlines)
+        };
+    }
+
+    /**
+     * Insurance accounts of an airline in ether, with its reserve ratio, see FlightSuretyClient.getAirlineAccount
+     */
+    async getAirlineAccount(airline) {
+        let account = await this.client.getAirlineAccount(airline);
+        let ether = {};
+        ['funds', 'premiums', 'credited', 'paid', 'liability', 'capacity', 'reserves', 'obligations']
+            .forEach((key) => ether[key] = fromWei(account[key]));
+        return { airline: airline, ...ether, reserveRatio: account.reserveRatio };
+    }
+
+    /**
+     * Insurance accounts of every registered or funded airline
+     */
+    async getAirlineAccounts() {
+        let [registered, funded] = await Promise.all([
+            this.client.data._getRegisteredAirlines(),
+            this.client.data._getNumOfFundedAirlines()
+        ]);
+        let airlines = [...new Set([...registered, ...funded])];
+        return Promise.all(airlines.map((airline) => this.getAirlineAccount(airline)));
+    }
+
+    /**
+     * Provides the 10 ether fund an airline needs before it can register other airlines
+     */
+    async fundAirline(airline) {
+        let receipt = await this.client.app.airlineFunding({ from: airline, value: toWei(AIRLINE_FUNDING) });
+        return { transactionHash: receipt.transactionHash };
+    }
+
+    /**
+     * Registers a new airline, or votes for it once AIRLINE_THRESHOLD airlines are registered,
+     * which opens a proposal for it if it has none open. Resolves with whether the airline got registered.
+     */
+    async registerAirline(airline, candidate, name) {
+        let options = { from: airline };
+        let isRegistered = await this.client.app.call('registerAirline', candidate, name, options);
+        let receipt = await this.client.app.registerAirline(candidate, name, options);
+        return {
+            transactionHash: receipt.transactionHash,
+            isRegistered: isRegistered
+        };
+    }
+
+    /**
+     * The latest proposal of every airline proposed so far, with its PROPOSAL_* state, its votes and
+     * whether the voter voted on it. requiredVotes is 0 while airlines are registered without a vote.
+     */
+    async getAirlineProposals(voter) {
+        let [events, progress] = await Promise.all([
+            this.client.app.getEvents('ProposalCreated', { fromBlock: this.deployment.deployBlock || 0 }),
+            // The votes required don't depend on the candidate
+            this.client.app.getProposal(voter)
+        ]);
+
+        let candidates = [...new Set(events.map((event) => event.returnValues.airline))];
+        let proposals = await Promise.all(candidates.map(async (airline) => {
+            let [proposal, hasVoted] = await Promise.all([
+                this.client.app.getProposal(airline),
+                this.client.app.hasVoted(airline, voter)
+            ]);
+            return {
+                airline: airline,
+                name: proposal.name,
+                proposer: proposal.proposer,
+                state: Number(proposal.state),
+                votes: Number(proposal.votes),
+                requiredVotes: Number(proposal.requiredVotes),
+                expiresAt: Number(proposal.expiresAt),
+                hasVoted: hasVoted
+            };
+        }));
+        return {
+            proposals: proposals,
+            requiredVotes: Number(progress.requiredVotes)
+        };
+    }
+
+    /**
+     * Operational mode of FlightSuretyApp and FlightSuretyData
+     */
+    async getOperatingStatus() {
+        let [app, data] = await Promise.all([
+            this.client.app.isOperational(),
+            this.client.data.isOperational()
+        ]);
+        return { app: app, data: data };
+    }
+
+    /**
+     * Pauses or resumes one of the contracts, 'app' or 'data', from its owner's account
+     */
+    async setOperatingStatus(contractName, mode) {
+        let owner = contractName === 'app' ? this.owner : this.dataOwner;
+        if (this.account !== owner) {
+            throw new Error('Only the contract owner can change the operational mode');
+        }
+        let receipt = await this.client[contractName].setOperatingStatus(mode, { from: owner });
+        return { transactionHash: receipt.transactionHash };
+    }
+
+    /**
+     * Callers authorized on FlightSuretyData, replayed from its ContractAuthorized and
+     * ContractDeauthorized events. The owner manages them without being one.
+     */
+    async getAuthorizedCallers() {
+        let options = { fromBlock: this.deployment.deployBlock || 0 };
+        let [authorized, deauthorized] = await Promise.all([
+            this.client.data.getEvents('ContractAuthorized', options),
+            this.client.data.getEvents('ContractDeauthorized', options)
+        ]);
+        let events = authorized.concat(deauthorized)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        let callers = {};
+        events.forEach((event) => {
+            let address = this.web3.utils.toChecksumAddress(event.returnValues.addr);
+            if (event.event === 'ContractAuthorized') {
+                callers[address] = { address: address, blockNumber: event.blockNumber };
+            } else {
+                delete callers[address];
+            }
+        });
+        return Object.values(callers).map((caller) => ({
+            ...caller,
+            isApp: caller.address === this.web3.utils.toChecksumAddress(this.client.app.address),
+            isOwner: caller.address === this.dataOwner
+        }));
+    }
+
+    /**
+     * Authorizes an account or contract to call FlightSuretyData, from the owner's account
+     */
+    async authorizeCaller(caller) {
+        if (!this.web3.utils.isAddress(caller)) {
+            throw new Error('Enter a valid address');
+        }
+        let receipt = await this.client.data._authorizeCaller(caller, { from: this.requireDataOwner() });
+        return { transactionHash: receipt.transactionHash };
+    }
+
+    /**
+     * Removes an authorized caller of FlightSuretyData, from the owner's account
+     */
+    async deauthorizeCaller(caller) {
+        let receipt = await this.client.data._deauthorizeCaller(caller, { from: this.requireDataOwner() });
+        return { transactionHash: receipt.transactionHash };
+    }
+
+    requireDataOwner() {
+        if (this.account !== this.dataOwner) {
+            throw new Error('Only the owner of FlightSuretyData can make this change');
+        }
+        return this.account;
     }
-}
\ No newline at end of file
+}
@@ -1,6 +1,9 @@
 
 import DOM from './dom';
 import Contract from './contract';
+import EventStream from './stream';
+import Api from './api';
+import { PROPOSAL_EXPIRED, PROPOSAL_LABELS, PROPOSAL_OPEN, REQUEST_EXPIRED, REQUEST_LABELS, REQUEST_PENDING, REQUEST_RESOLVED, STATUS_CODES, STATUS_CODE_LATE_AIRLINE, STATUS_LABELS, fromWei } from '../client';
 import './flightsurety.css';
 
 
@@ -8,43 +11,533 @@ import './flightsurety.css';
 
     let result = null;
 
-    let contract = new Contract('localhost', () => {
+    let contract = new Contract(process.env.FLIGHTSURETY_NETWORK);
+    try {
+        await contract.initialize();
+    } catch (error) {
+        return display('Wallet', 'Connect an Ethereum wallet', [ { label: 'Wallet', error: error.message } ]);
+    }
 
-        // Read transaction
-        contract.isOperational((error, result) => {
-            console.log(error,result);
-            display('Operational Status', 'Check if contract is operational', [ { label: 'Operational Status', error: error, value: result} ]);
+    let stream = new EventStream(contract.serverUrl);
+    let api = new Api(contract.serverUrl);
+
+    // Accounts the wallet signs with, labelled with the roles they hold on chain
+    let wallet = display('Wallet', contract.wallet === 'ganache' ? 'Unlocked ganache accounts' : 'Accounts shared by the wallet', []);
+    let showAccounts = () => {
+        clearResults(wallet);
+        appendResult(wallet, { label: 'Network', value: `${contract.deployment.network} (chain ${contract.deployment.chainId})` });
+        let stale = contract.client.staleContracts(contract.deployment);
+        if (stale.length > 0) {
+            appendResult(wallet, { label: 'Deployment', error: `${stale.join(' and ')} changed since this deployment, run truffle migrate` });
+        }
+        appendResult(wallet, { label: 'Active Account', value: contract.account ? accountLabel(contract, contract.account) : 'Wallet locked' });
+        ['insurance-passenger', 'policies-passenger', 'console-airline'].forEach((id) => {
+            let select = DOM.elid(id);
+            while (select.firstChild) select.removeChild(select.firstChild);
+            contract.accounts.forEach((account) => select.appendChild(DOM.option({ value: account }, accountLabel(contract, account))));
         });
-    
-
-        // User-submitted transaction
-        DOM.elid('submit-oracle').addEventListener('click', () => {
-            let flight = DOM.elid('flight-number').value;
-            // Write transaction
-            contract.fetchFlightStatus(flight, (error, result) => {
-                display('Oracles', 'Trigger oracles', [ { label: 'Fetch Flight Status', error: error, value: result.flight + ' ' + result.timestamp} ]);
+    };
+    showAccounts();
+    contract.on('accountsChanged', showAccounts);
+
+    // Admin controls are only offered to the owner of the contracts
+    let adminPanel = null;
+    let showAdminControls = () => {
+        let isOwner = (contract.roles[contract.account] || []).includes('owner');
+        DOM.elid('admin-controls').hidden = !isOwner;
+        DOM.elid('admin-pricing-controls').hidden = !isOwner;
+        if (!isOwner && adminPanel) {
+            adminPanel.section.remove();
+            adminPanel = null;
+        }
+    };
+    showAdminControls();
+    contract.on('accountsChanged', showAdminControls);
+    // Addresses and balances belong to the previous chain, start over
+    contract.on('chainChanged', () => window.location.reload());
+
+    // Read transaction
+    contract.isOperational()
+        .then((result) => display('Operational Status', 'Check if contract is operational', [ { label: 'Operational Status', value: result} ]))
+        .catch((error) => display('Operational Status', 'Check if contract is operational', [ { label: 'Operational Status', error: error.message } ]));
+
+    // Credits issued to the wallet's accounts as flights get settled
+    let credits = display('Credits', 'Payouts credited to passengers', []);
+    stream.subscribe({}, (event) => {
+        if (event.event !== 'CreditIssuedToInsuree') return;
+        let passenger = contract.accounts.find((account) => account.toLowerCase() === String(event.returnValues.beneficiary).toLowerCase());
+        if (!passenger) return;
+        appendResult(credits, { label: passenger, value: fromWei(event.returnValues.creditAmount) + ' ether' });
+    });
+
+
+    // Registered flights passengers can insure and oracles can be asked about
+    let flights = [];
+    let loadFlights = () => api.getFlights()
+        .then((items) => {
+            flights = items;
+            ['insurance-flight', 'flight-number'].forEach((id) => {
+                let select = DOM.elid(id);
+                while (select.firstChild) select.removeChild(select.firstChild);
+                flights.forEach((flight, i) => select.appendChild(DOM.option({ value: String(i) }, flightLabel(flight))));
             });
         })
-    
+        .catch((error) => display('Flights', 'Registered flights', [ { label: 'Registered Flights', error: error } ]));
+    loadFlights();
+
+    // What the premium pays out under the pricing policy of the flight's airline
+    DOM.elid('quote-insurance').addEventListener('click', () => {
+        let flight = flights[DOM.elid('insurance-flight').value];
+        let amount = DOM.elid('insurance-amount').value;
+        if (!flight) {
+            return display('Quote', 'Insurance quote', [ { label: 'Flight', error: 'Select a registered flight' } ]);
+        }
+
+        contract.getQuote(flight, amount)
+            .then((quote) => display('Quote', `Insurance quote for ${flightLabel(flight)}`, [
+                { label: 'Premium', value: quote.premium + ' ether' },
+                { label: 'Payout', value: quote.payout + ' ether' },
+                { label: 'Pays Out When', value: quote.payoutStatusCodes.map((code) => STATUS_LABELS[code]).join(', ') },
+                { label: 'Maximum Premium', value: quote.maxPremium + ' ether' }
+            ]))
+            .catch((error) => display('Quote', 'Insurance quote', [ { label: 'Quote', error: error.message } ]));
+    });
+
+    DOM.elid('buy-insurance').addEventListener('click', () => {
+        let passenger = DOM.elid('insurance-passenger').value;
+        let flight = flights[DOM.elid('insurance-flight').value];
+        let amount = DOM.elid('insurance-amount').value;
+        if (!flight) {
+            return display('Insurance', 'Buy flight insurance', [ { label: 'Flight', error: 'Select a registered flight' } ]);
+        }
+
+        contract.buyInsurance(passenger, flight, amount)
+            .then((result) => display('Insurance', 'Buy flight insurance', [
+                { label: 'Flight', value: flightLabel(flight) },
+                { label: 'Premium', value: result.amount + ' ether' },
+                { label: 'Transaction', value: result.transactionHash }
+            ]))
+            .catch((error) => display('Insurance', 'Buy flight insurance', [ { label: 'Insurance Bought', error: error.message } ]));
+    });
+
+
+    // Policies of a passenger, refreshed when a credit lands
+    let policies = null;
+    DOM.elid('show-policies').addEventListener('click', () => {
+        if (policies) policies.close();
+        policies = showPolicies(contract, stream, DOM.elid('policies-passenger').value);
+    });
+
+
+    // Airline console of the selected airline
+    let airlineConsole = null;
+    let openAirlineConsole = () => {
+        let airline = DOM.elid('console-airline').value;
+        if (!airlineConsole || airlineConsole.airline !== airline) {
+            airlineConsole = showAirlineConsole(contract, airline);
+        }
+        return airlineConsole;
+    };
+    DOM.elid('show-airline-console').addEventListener('click', () => {
+        airlineConsole = null;
+        openAirlineConsole();
+    });
+    DOM.elid('fund-airline').addEventListener('click', () => {
+        let selected = openAirlineConsole();
+        contract.fundAirline(selected.airline)
+            .then((result) => display('Airline Funding', `Fund provided by ${selected.airline}`, [ { label: 'Funded', value: result.transactionHash } ]))
+            .catch((error) => display('Airline Funding', `Fund provided by ${selected.airline}`, [ { label: 'Funded', error: error.message } ]))
+            .then(() => selected.render());
+    });
+    DOM.elid('show-airline-reserves').addEventListener('click', () => {
+        showAirlineReserves(contract);
+    });
+
+    DOM.elid('propose-airline').addEventListener('click', () => {
+        openAirlineConsole().register(DOM.elid('candidate-address').value, DOM.elid('candidate-name').value);
     });
-    
+
+
+    // Flight schedule of the selected airline
+    DOM.elid('register-flight').addEventListener('click', () => {
+        let airline = DOM.elid('console-airline').value;
+        let timestamp = Math.floor(Date.parse(DOM.elid('schedule-departure').value) / 1000);
+        contract.registerFlight(airline, DOM.elid('schedule-flight').value, timestamp)
+            .then((result) => {
+                display('Flight Schedule', `Flight registered by ${airline}`, [
+                    { label: 'Flight', value: flightLabel(result) },
+                    { label: 'Flight Key', value: result.flightKey }
+                ]);
+                loadFlights();
+            })
+            .catch((error) => display('Flight Schedule', `Flight registered by ${airline}`, [ { label: 'Flight Registered', error: error.message } ]));
+    });
+    DOM.elid('import-schedule').addEventListener('click', () => {
+        let airline = DOM.elid('console-airline').value;
+        let file = DOM.elid('schedule-file').files[0];
+        if (!file) {
+            return display('Flight Schedule', 'Import a schedule file', [ { label: 'Schedule', error: 'Select a CSV or JSON file' } ]);
+        }
+
+        api.parseSchedule(airline, file)
+            .then((schedule) => contract.importSchedule(airline, schedule.flights))
+            .then((result) => {
+                let section = display('Flight Schedule', `${file.name} imported for ${airline}`, [
+                    { label: 'Imported', value: result.imported.length },
+                    { label: 'Already Registered', value: result.skipped.length }
+                ]);
+                result.failed.forEach((flight) => appendResult(section, { label: flightLabel(flight), error: flight.error }));
+                loadFlights();
+            })
+            .catch((error) => display('Flight Schedule', `Import ${file.name}`, [ { label: 'Schedule', error: error.message } ]));
+    });
+
+
+    // Operational mode and authorized callers, managed by the owner
+    DOM.elid('show-admin-panel').addEventListener('click', () => {
+        if (adminPanel) adminPanel.section.remove();
+        adminPanel = showAdminPanel(contract);
+    });
+    STATUS_CODES.filter((code) => code >= STATUS_CODE_LATE_AIRLINE).forEach((code) =>
+        DOM.elid('policy-status-codes').appendChild(DOM.option({ value: String(code) }, STATUS_LABELS[code])));
+    DOM.elid('set-pricing-policy').addEventListener('click', async () => {
+        let airline = DOM.elid('policy-airline').value.trim();
+        let target = airline ? `the pricing policy of ${airline}` : 'the default pricing policy';
+        let statusCodes = Array.from(DOM.elid('policy-status-codes').selectedOptions).map((option) => Number(option.value));
+        if (!window.confirm(`Set ${target}?`)) return;
+        try {
+            let result = await contract.setPricingPolicy(airline, DOM.elid('policy-max-premium').value, DOM.elid('policy-multiplier').value, statusCodes);
+            display('Pricing Policy', `Set ${target}`, [ { label: 'Pricing Policy', value: result.transactionHash } ]);
+        } catch (error) {
+            display('Pricing Policy', `Set ${target}`, [ { label: 'Pricing Policy', error: error.message } ]);
+        }
+        if (adminPanel) adminPanel.render();
+    });
+    DOM.elid('authorize-caller').addEventListener('click', async () => {
+        let caller = DOM.elid('caller-address').value.trim();
+        if (!window.confirm(`Authorize ${caller} to call FlightSuretyData?`)) return;
+        try {
+            let result = await contract.authorizeCaller(caller);
+            display('Authorized Callers', `Authorize ${caller}`, [ { label: 'Authorized', value: result.transactionHash } ]);
+        } catch (error) {
+            display('Authorized Callers', `Authorize ${caller}`, [ { label: 'Authorized', error: error.message } ]);
+        }
+        if (adminPanel) adminPanel.render();
+    });
+
+
+    // User-submitted transaction
+    DOM.elid('submit-oracle').addEventListener('click', () => {
+        let flight = flights[DOM.elid('flight-number').value];
+        if (!flight) {
+            return display('Oracles', 'Trigger oracles', [ { label: 'Flight', error: 'Select a registered flight' } ]);
+        }
+        // Write transaction
+        contract.fetchFlightStatus(flight)
+            .then((result) => {
+                let section = display('Oracles', 'Trigger oracles', [
+                    { label: 'Fetch Flight Status', value: flightLabel(result) },
+                    { label: 'Oracle Index', value: result.index },
+                    { label: 'Request Fee', value: result.fee + ' ether' }
+                ]);
+
+                // Oracles settle the flight asynchronously, the request is read again on each report
+                // and once its deadline has passed
+                let status = appendResult(section, { label: 'Flight Status', value: 'Waiting for oracles...' });
+                let progress = appendResult(section, { label: 'Request', value: `Pending until ${new Date(result.deadline * 1000).toLocaleTimeString()}` });
+                let flightKey = contract.getFlightKey(result.airline, result.flight, result.timestamp);
+                let close = () => {};
+                let timer = null;
+                let refresh = async () => {
+                    let request = await contract.getOracleRequest(result);
+                    if (request.state === REQUEST_PENDING) {
+                        progress.textContent = `Pending until ${new Date(request.deadline * 1000).toLocaleTimeString()}, ${request.responseCount} responses`;
+                        return expireAt(request.deadline);
+                    }
+                    progress.textContent = `${REQUEST_LABELS[request.state]} with ${request.responseCount} responses`;
+                    if (request.state === REQUEST_RESOLVED) status.textContent = STATUS_LABELS[request.statusCode];
+                    if (request.state === REQUEST_EXPIRED) status.textContent = 'The oracles did not agree in time';
+                    close();
+                    clearTimeout(timer);
+                };
+                close = stream.subscribe({ flightKey: flightKey }, (event) => {
+                    if (event.event === 'OracleReport') {
+                        status.textContent = `Oracle reported ${STATUS_LABELS[event.returnValues.status]}, waiting for consensus...`;
+                    }
+                    refresh().catch((error) => progress.textContent = error.message);
+                });
+                // The deadline is in chain time, the request is read again until it is no longer pending
+                let expireAt = (deadline) => {
+                    clearTimeout(timer);
+                    timer = setTimeout(() => refresh().catch((error) => progress.textContent = error.message),
+                        Math.max(deadline * 1000 - Date.now(), 0) + 1000);
+                };
+                expireAt(result.deadline);
+            })
+            .catch((error) => display('Oracles', 'Trigger oracles', [ { label: 'Fetch Flight Status', error: error.message } ]));
+    })
+
 
 })();
 
 
+function showPolicies(contract, stream, passenger) {
+    let section = display('My Policies', `Policies of ${passenger}`, []);
+
+    let render = async () => {
+        let result;
+        try {
+            result = await contract.getPolicies(passenger);
+        } catch (error) {
+            clearResults(section);
+            return appendResult(section, { label: 'Policies', error: error.message });
+        }
+
+        clearResults(section);
+        if (result.policies.length === 0) return appendResult(section, { label: 'Policies', value: 'No policies' });
+
+        result.policies.forEach((policy) => {
+            appendResult(section, { label: 'Flight', value: policy.timestamp ? flightLabel(policy) : policy.flight });
+            appendResult(section, { label: 'Premium', value: policy.premium + ' ether' });
+            appendResult(section, { label: 'Payout', value: policyPayout(policy) });
+        });
+        appendResult(section, { label: 'Withdrawal', value: result.credit !== '0'
+            ? result.credit + ' ether ready to withdraw'
+            : 'Nothing to withdraw' });
+
+        if (result.credit !== '0') {
+            let withdraw = section.appendChild(DOM.button({ className: 'btn btn-primary' }, 'Withdraw'));
+            withdraw.addEventListener('click', async () => {
+                try {
+                    let withdrawal = await contract.withdraw(passenger);
+                    display('Withdrawal', `Payout to ${passenger}`, [ { label: 'Insurance Payout Paid', value: withdrawal.amount + ' ether' } ]);
+                    render();
+                } catch (error) {
+                    display('Withdrawal', `Payout to ${passenger}`, [ { label: 'Insurance Payout Paid', error: error.message } ]);
+                }
+            });
+        }
+    };
+
+    render();
+    let close = stream.subscribe({ passenger: passenger }, (event) => {
+        if (event.event === 'CreditIssuedToInsuree' || event.event === 'InsurancePayoutPaid') render();
+    });
+    return { close: close };
+}
+
+// Reserves against obligations, e.g. "11.5 ether for 1.5 ether of obligations (ratio 7.67)"
+function reservesOf(account) {
+    let ratio = account.reserveRatio === null ? 'no obligations' : 'ratio ' + Number(account.reserveRatio).toFixed(2);
+    return `${account.reserves} ether for ${account.obligations} ether of obligations (${ratio})`;
+}
+
+function showAirlineReserves(contract) {
+    let section = display('Airline Reserves', 'Reserves of each airline against its open policies and unpaid credit', []);
+    contract.getAirlineAccounts()
+        .then((accounts) => {
+            if (accounts.length === 0) return appendResult(section, { label: 'Airlines', value: 'No airline is registered or funded' });
+            accounts.forEach((account) => appendResult(section, { label: 'Airline', value: `${account.airline}: ${reservesOf(account)}` }));
+        })
+        .catch((error) => appendResult(section, { label: 'Reserves', error: error.message }));
+}
+
+function showAirlineConsole(contract, airline) {
+    let section = display('Airline Console', `Operations of ${airline}`, []);
+
+    let render = async () => {
+        let status, ballot, account;
+        try {
+            status = await contract.getAirlineStatus(airline);
+        } catch (error) {
+            clearResults(section);
+            return appendResult(section, { label: 'Status', error: error.message });
+        }
+        // The accounts are informative, the console still works without them
+        account = await contract.getAirlineAccount(airline).catch(() => null);
+        let ballotError = null;
+        try {
+            ballot = await contract.getAirlineProposals(airline);
+        } catch (error) {
+            ballotError = error;
+        }
+
+        clearResults(section);
+        appendResult(section, { label: 'Registered', value: status.isRegistered ? 'Yes' : 'No' });
+        appendResult(section, { label: 'Funding', value: status.isFunded ? status.funds + ' ether' : 'Not funded' });
+        appendResult(section, { label: 'Funded Airlines', value: status.fundedAirlines });
+        if (account) {
+            appendResult(section, { label: 'Reserves', value: reservesOf(account) });
+            appendResult(section, { label: 'Coverage Capacity', value: account.capacity + ' ether' });
+        }
+
+        if (ballotError) return appendResult(section, { label: 'Proposals', error: ballotError.message });
+        if (ballot.requiredVotes === 0) {
+            return appendResult(section, { label: 'Registration', value: 'Airlines are registered without a vote until there are 4 of them' });
+        }
+
+        appendResult(section, { label: 'Consensus', value: `${ballot.requiredVotes} votes of the funded airlines` });
+        ballot.proposals.forEach((proposal) => {
+            // The votes required follow the number of registered airlines, they only matter while the proposal is open
+            let state = proposal.state === PROPOSAL_OPEN
+                ? `${proposal.votes} of ${proposal.requiredVotes} votes, expires ${new Date(proposal.expiresAt * 1000).toLocaleString()}`
+                : `${PROPOSAL_LABELS[proposal.state]}, ${proposal.votes} votes`;
+            let row = appendResult(section, { label: proposal.name, value: `${proposal.airline} (${state}) ` });
+            if (proposal.state === PROPOSAL_OPEN) row.appendChild(progressBar(proposal.votes, proposal.requiredVotes));
+
+            // Voting on an expired proposal opens a new one
+            if ((proposal.state === PROPOSAL_OPEN && !proposal.hasVoted) || proposal.state === PROPOSAL_EXPIRED) {
+                let vote = row.appendChild(DOM.button({ className: 'btn btn-primary' }, proposal.state === PROPOSAL_OPEN ? 'Vote' : 'Propose again'));
+                vote.addEventListener('click', () => register(proposal.airline, proposal.name));
+            } else if (proposal.hasVoted) {
+                row.appendChild(DOM.span(' Voted'));
+            }
+        });
+    };
+
+    let register = async (candidate, name) => {
+        try {
+            let result = await contract.registerAirline(airline, candidate, name);
+            display('Airline Registration', `${name} (${candidate})`, [ { label: 'Registered', value: result.isRegistered ? 'Yes' : 'Vote recorded' } ]);
+        } catch (error) {
+            display('Airline Registration', `${name} (${candidate})`, [ { label: 'Registered', error: error.message } ]);
+        }
+        render();
+    };
+
+    render();
+    return { airline: airline, render: render, register: register };
+}
+
+function showAdminPanel(contract) {
+    let section = display('Admin Panel', 'Operational mode and authorized callers of the contracts', []);
+    let contracts = [ { key: 'app', name: 'FlightSuretyApp' }, { key: 'data', name: 'FlightSuretyData' } ];
+
+    let render = async () => {
+        let status, callers, pricing;
+        try {
+            [status, callers, pricing] = await Promise.all([
+                contract.getOperatingStatus(),
+                contract.getAuthorizedCallers(),
+                contract.getPricingPolicies()
+            ]);
+        } catch (error) {
+            clearResults(section);
+            return appendResult(section, { label: 'Admin', error: error.message });
+        }
+
+        clearResults(section);
+        contracts.forEach((item) => {
+            let isOperational = status[item.key];
+            let row = appendResult(section, { label: item.name, value: isOperational ? 'Operational ' : 'Paused ' });
+            let toggle = row.appendChild(DOM.button({ className: 'btn btn-primary' }, isOperational ? 'Pause' : 'Resume'));
+            toggle.addEventListener('click', () => setOperatingStatus(item, !isOperational));
+        });
+
+        callers.forEach((caller) => {
+            let label = caller.isApp ? 'FlightSuretyApp' : caller.isOwner ? 'Owner' : 'Authorized Caller';
+            let since = caller.blockNumber === null ? 'since deployment' : `since block ${caller.blockNumber}`;
+            let row = appendResult(section, { label: label, value: `${caller.address} ${since} ` });
+            let remove = row.appendChild(DOM.button({ className: 'btn btn-primary' }, 'Remove'));
+            remove.addEventListener('click', () => deauthorize(caller));
+        });
+
+        pricing.forEach((policy) => {
+            let terms = `${policy.maxPremium} ether at most, paid out ${policy.multiplier}x when `
+                + policy.payoutStatusCodes.map((code) => STATUS_LABELS[code]).join(' or ');
+            if (!policy.isAirlinePolicy) return appendResult(section, { label: 'Default Pricing', value: terms });
+
+            let row = appendResult(section, { label: 'Airline Pricing', value: `${policy.airline}: ${terms} ` });
+            let remove = row.appendChild(DOM.button({ className: 'btn btn-primary' }, 'Remove'));
+            remove.addEventListener('click', () => removePricingPolicy(policy.airline));
+        });
+    };
+
+    let removePricingPolicy = async (airline) => {
+        if (!window.confirm(`Put ${airline} back on the default pricing policy?`)) return;
+        try {
+            let result = await contract.removePricingPolicy(airline);
+            display('Pricing Policy', `Remove the pricing policy of ${airline}`, [ { label: 'Removed', value: result.transactionHash } ]);
+        } catch (error) {
+            display('Pricing Policy', `Remove the pricing policy of ${airline}`, [ { label: 'Removed', error: error.message } ]);
+        }
+        render();
+    };
+
+    let setOperatingStatus = async (item, mode) => {
+        let action = mode ? 'Resume' : 'Pause';
+        if (!window.confirm(`${action} ${item.name}?`)) return;
+        try {
+            let result = await contract.setOperatingStatus(item.key, mode);
+            display('Operational Status', `${action} ${item.name}`, [ { label: 'Operational Status', value: result.transactionHash } ]);
+        } catch (error) {
+            display('Operational Status', `${action} ${item.name}`, [ { label: 'Operational Status', error: error.message } ]);
+        }
+        render();
+    };
+
+    let deauthorize = async (caller) => {
+        // Without its authorization the app stops working
+        let warning = caller.isApp ? ' FlightSuretyApp will stop working.' : '';
+        if (!window.confirm(`Remove ${caller.address} from the authorized callers?${warning}`)) return;
+        try {
+            let result = await contract.deauthorizeCaller(caller.address);
+            display('Authorized Callers', `Remove ${caller.address}`, [ { label: 'Removed', value: result.transactionHash } ]);
+        } catch (error) {
+            display('Authorized Callers', `Remove ${caller.address}`, [ { label: 'Removed', error: error.message } ]);
+        }
+        render();
+    };
+
+    render();
+    return { section: section, render: render };
+}
+
+function progressBar(value, max) {
+    let percent = Math.min(100, Math.round(value / max * 100));
+    return DOM.div({ className: 'progress' }, DOM.div({ className: 'progress-bar', style: { width: `${percent}%` } }, `${percent}%`));
+}
+
 function display(title, description, results) {
     let displayDiv = DOM.elid("display-wrapper");
     let section = DOM.section();
     section.appendChild(DOM.h2(title));
     section.appendChild(DOM.h5(description));
-    results.map((result) => {
-        let row = section.appendChild(DOM.div({className:'row'}));
-        row.appendChild(DOM.div({className: 'col-sm-4 field'}, result.label));
-        row.appendChild(DOM.div({className: 'col-sm-8 field-value'}, result.error ? String(result.error) : String(result.value)));
-        section.appendChild(row);
-    })
+    results.map((result) => appendResult(section, result));
     displayDiv.append(section);
+    return section;
+}
+
+function clearResults(section) {
+    // Keeps the title and description
+    while (section.children.length > 2) {
+        section.removeChild(section.lastChild);
+    }
+}
+
+function accountLabel(contract, account) {
+    return `${account} (${(contract.roles[account] || []).join(', ')})`;
+}
+
+// Where the payout of a policy stands, withdrawn, credited, released or still open
+function policyPayout(policy) {
+    if (policy.isPaid) return policy.payout + ' ether withdrawn';
+    if (policy.isCredited) return policy.payout + ' ether credited';
+    if (policy.isReleased) return 'Released, the flight landed without a payout';
+    return policy.payout + ' ether if the flight is '
+        + policy.payoutStatusCodes.map((code) => STATUS_LABELS[code]).join(' or ');
+}
+
+function flightLabel(flight) {
+    return `${flight.flight} - ${new Date(Number(flight.timestamp) * 1000).toLocaleString()}`;
+}
 
+function appendResult(section, result) {
+    let row = section.appendChild(DOM.div({className:'row'}));
+    row.appendChild(DOM.div({className: 'col-sm-4 field'}, result.label));
+    let value = row.appendChild(DOM.div({className: 'col-sm-8 field-value'}, result.error ? String(result.error) : String(result.value)));
+    section.appendChild(row);
+    return value;
 }
 
 
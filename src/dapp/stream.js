@@ -0,0 +1,23 @@
+/**
+ * Live contract events pushed by the server over Server-Sent Events
+ */
+export default class EventStream {
+    constructor(serverUrl) {
+        this.serverUrl = serverUrl;
+    }
+
+    /**
+     * Calls back with every event matching the filter, e.g. { flightKey } or { passenger }.
+     * Returns a function that closes the subscription.
+     */
+    subscribe(filter, callback) {
+        let query = Object.keys(filter)
+            .filter((key) => filter[key])
+            .map((key) => `${key}=${encodeURIComponent(filter[key])}`)
+            .join('&');
+        let source = new EventSource(`${this.serverUrl}/api/stream?${query}`);
+
+        source.onmessage = (message) => callback(JSON.parse(message.data));
+        return () => source.close();
+    }
+}
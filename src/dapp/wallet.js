@@ -0,0 +1,32 @@
+/**
+ * Adapts an EIP-1193 provider such as MetaMask's window.ethereum to the
+ * callback style provider web3 sends its JSON-RPC payloads through
+ */
+export default class WalletProvider {
+    constructor(ethereum) {
+        this.ethereum = ethereum;
+    }
+
+    send(payload, callback) {
+        if (Array.isArray(payload)) {
+            return Promise.all(payload.map((item) => this.forward(item)))
+                .then((responses) => callback(null, responses));
+        }
+        this.forward(payload).then((response) => callback(null, response));
+    }
+
+    sendAsync(payload, callback) {
+        this.send(payload, callback);
+    }
+
+    // Wraps the outcome of a request in a JSON-RPC response, errors included, as web3 expects
+    forward(payload) {
+        return this.ethereum.request({ method: payload.method, params: payload.params })
+            .then((result) => ({ jsonrpc: '2.0', id: payload.id, result: result }))
+            .catch((error) => ({
+                jsonrpc: '2.0',
+                id: payload.id,
+                error: { code: error.code, message: error.message, data: error.data }
+            }));
+    }
+}
@@ -0,0 +1,253 @@
+import express from 'express';
+import { parseSchedule } from './schedule';
+import { REQUEST_LABELS, REQUEST_UNKNOWN, toContractError } from '../client';
+
+/**
+ * Error carrying the HTTP status it should be reported with
+ */
+export class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Revert reasons that mean the requested record doesn't exist
+const NOT_FOUND_REASONS = [
+    "The insurance for this flight doesn't exist",
+    'The person is not insured',
+    "The airline hasn't provided any fund"
+];
+
+/**
+ * Maps a failed contract read to an ApiError.
+ * Reverts for missing records become 404, other reverts 400 and a paused
+ * contract 503.
+ */
+export function toApiError(error) {
+    if (error instanceof ApiError) return error;
+
+    let contractError = toContractError(error);
+    let reason = contractError.reason;
+    if (reason === null) return new ApiError(500, contractError.message);
+    if (reason === 'Contract is currently not operational') return new ApiError(503, reason);
+    if (NOT_FOUND_REASONS.includes(reason)) return new ApiError(404, reason);
+    return new ApiError(400, contractError.message);
+}
+
+/**
+ * REST API wrapping the contract reads the dapp needs, and the schedule parser
+ */
+export default function createApi(client, indexer, settings) {
+    const router = express.Router();
+
+    // Wraps an async route so rejections are reported as JSON errors
+    const route = (handler) => (req, res) => {
+        handler(req, res).catch((error) => {
+            let apiError = toApiError(error);
+            res.status(apiError.status).send({ error: apiError.message });
+        });
+    };
+
+    const requireAddress = (value, name) => {
+        if (!client.web3.utils.isAddress(value)) {
+            throw new ApiError(400, `${name} must be a valid address`);
+        }
+        return value;
+    };
+
+    // Slices a list for ?page=&pageSize= and fetches the details of the page only
+    const paginate = async (req, items, load) => {
+        let page = req.query.page === undefined ? 1 : Number(req.query.page);
+        let pageSize = req.query.pageSize === undefined ? settings.pageSize : Number(req.query.pageSize);
+        if (!Number.isInteger(page) || page < 1) {
+            throw new ApiError(400, 'page must be a positive integer');
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > settings.maxPageSize) {
+            throw new ApiError(400, `pageSize must be between 1 and ${settings.maxPageSize}`);
+        }
+
+        let slice = items.slice((page - 1) * pageSize, page * pageSize);
+        return {
+            items: await Promise.all(slice.map(load)),
+            page: page,
+            pageSize: pageSize,
+            total: items.length
+        };
+    };
+
+    const optionalBlock = (value, name) => {
+        if (value === undefined) return undefined;
+        if (!/^\d+$/.test(value)) {
+            throw new ApiError(400, `${name} must be a block number`);
+        }
+        return Number(value);
+    };
+
+    const loadAirline = async (address) => {
+        let isRegistered = await client.data._isAirline(address);
+        let funds = '0';
+        try {
+            funds = await client.data._checkFunds(address);
+        } catch (error) {
+            // _checkFunds reverts until the airline has provided its fund
+            if (toApiError(error).status !== 404) throw error;
+        }
+        let account = await client.getAirlineAccount(address);
+        return {
+            address: address,
+            isRegistered: isRegistered,
+            isFunded: funds !== '0',
+            funds: funds,
+            premiums: account.premiums,
+            credited: account.credited,
+            paid: account.paid,
+            liability: account.liability,
+            capacity: account.capacity,
+            reserves: account.reserves,
+            obligations: account.obligations,
+            reserveRatio: account.reserveRatio
+        };
+    };
+
+    // Flight names by flight key, from the FlightRegistered events of the indexer
+    const flightNames = () => {
+        let names = {};
+        indexer.query({ contract: 'FlightSuretyData', event: 'FlightRegistered' })
+            .forEach((event) => names[event.returnValues.flightKey] = event.returnValues.flight);
+        return names;
+    };
+
+    const loadFlight = async (flightKey) => {
+        let flight = await client.data._getRegisteredFlight(flightKey);
+        return {
+            flightKey: flightKey,
+            isRegistered: flight[0],
+            statusCode: Number(flight[1]),
+            timestamp: flight[2],
+            airline: flight[3]
+        };
+    };
+
+    router.get('/', (req, res) => {
+        res.send({
+            message: 'An API for use with your Dapp!'
+        });
+    });
+
+    router.get('/airlines', route(async (req, res) => {
+        let registered = await client.data._getRegisteredAirlines();
+        let funded = await client.data._getNumOfFundedAirlines();
+        let addresses = [...new Set([...registered, ...funded])];
+
+        res.send(await paginate(req, addresses, loadAirline));
+    }));
+
+    router.get('/airlines/:address', route(async (req, res) => {
+        let address = requireAddress(req.params.address, 'address');
+        let airline = await loadAirline(address);
+        if (!airline.isRegistered && !airline.isFunded) {
+            throw new ApiError(404, 'Airline not found');
+        }
+        res.send(airline);
+    }));
+
+    router.get('/flights', route(async (req, res) => {
+        let names = flightNames();
+
+        res.send(await paginate(req, Object.keys(names), async (flightKey) => ({
+            ...await loadFlight(flightKey),
+            flight: names[flightKey]
+        })));
+    }));
+
+    // Parses a CSV or JSON schedule of an airline into its flights, the dapp registers them
+    // through the airline's wallet
+    router.post('/flights/schedule', express.json({ limit: settings.importLimit }), route(async (req, res) => {
+        let body = req.body || {};
+        let airline = requireAddress(body.airline, 'airline');
+        if (typeof body.contents !== 'string') {
+            throw new ApiError(400, 'contents must be the text of the schedule file');
+        }
+
+        let schedule;
+        try {
+            schedule = parseSchedule(body.contents, body.format);
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+
+        let flights = await Promise.all(schedule.map(async (entry) => ({
+            ...entry,
+            flightKey: client.getFlightKey(airline, entry.flight, entry.timestamp),
+            isRegistered: await client.app.isFlightRegistered(entry.timestamp, airline, entry.flight)
+        })));
+        res.send({ airline: airline, flights: flights });
+    }));
+
+    router.get('/flights/:airline/:flight/:timestamp', route(async (req, res) => {
+        let airline = requireAddress(req.params.airline, 'airline');
+        if (!/^\d+$/.test(req.params.timestamp)) {
+            throw new ApiError(400, 'timestamp must be a unix timestamp');
+        }
+        let flightKey = client.getFlightKey(airline, req.params.flight, req.params.timestamp);
+        let flight = await loadFlight(flightKey);
+        if (!flight.isRegistered) {
+            throw new ApiError(404, 'Flight not found');
+        }
+        res.send({ ...flight, flight: req.params.flight });
+    }));
+
+    // Whether the latest oracle request for the flight is pending, resolved or expired
+    router.get('/oracles/requests/:airline/:flight/:timestamp', route(async (req, res) => {
+        let airline = requireAddress(req.params.airline, 'airline');
+        if (!/^\d+$/.test(req.params.timestamp)) {
+            throw new ApiError(400, 'timestamp must be a unix timestamp');
+        }
+        let request = await client.getOracleRequest(airline, req.params.flight, req.params.timestamp);
+        if (request.state === REQUEST_UNKNOWN) {
+            throw new ApiError(404, 'Oracle request not found');
+        }
+        res.send({ ...request, stateLabel: REQUEST_LABELS[request.state] });
+    }));
+
+    router.get('/passengers/:address/insurance', route(async (req, res) => {
+        let passenger = requireAddress(req.params.address, 'address');
+        // pendingCreditQuery reverts for passengers without a policy
+        let pendingCredit = await client.data.pendingCreditQuery(passenger);
+        let flightKeys = await client.data.policiesQuery(passenger);
+        let names = flightNames();
+
+        let policies = await Promise.all(flightKeys.map(async (flightKey) => {
+            let insurance = await client.data.insuranceQuery(passenger, flightKey);
+            return {
+                ...await loadFlight(flightKey),
+                flight: names[flightKey],
+                amount: insurance[0],
+                payout: insurance[1],
+                isCredited: insurance[2],
+                isReleased: insurance[3],
+                isPaid: insurance[4]
+            };
+        }));
+        res.send({
+            passenger: passenger,
+            policies: policies,
+            pendingCredit: pendingCredit
+        });
+    }));
+
+    router.get('/events', route(async (req, res) => {
+        let events = indexer.query({
+            contract: req.query.contract,
+            address: req.query.address,
+            event: req.query.event,
+            fromBlock: optionalBlock(req.query.fromBlock, 'fromBlock'),
+            toBlock: optionalBlock(req.query.toBlock, 'toBlock')
+        });
+
+        res.send(await paginate(req, events, async (event) => event));
+    }));
+
+    return router;
+}
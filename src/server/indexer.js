@@ -0,0 +1,172 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Event indexer.
+ * Backfills the events of the contracts from their deploy block, then polls for new blocks
+ * and keeps the decoded events in a JsonStore. The last processed block is
+ * stored with them, so a restart resumes where the previous run stopped.
+ *
+ * The hash of the last block of every batch is kept as a checkpoint. When the
+ * chain no longer has a checkpoint's hash (ganache reverted to a snapshot or
+ * was restarted), the events after the newest surviving checkpoint are dropped
+ * and indexed again.
+ *
+ * A contract can have several deployments, the app has one per upgrade, and
+ * the events of all of them are indexed under the contract name along with
+ * the address that emitted them.
+ *
+ * Every newly indexed event is emitted as 'event'.
+ */
+export default class EventIndexer extends EventEmitter {
+    constructor(web3, contracts, store, settings) {
+        super();
+        this.web3 = web3;
+        this.contracts = contracts; // contract name => ContractClients of its deployments, oldest first
+        this.store = store;
+        this.settings = settings;
+        this.timer = null;
+    }
+
+    start() {
+        let self = this;
+        let addresses = self.addresses();
+        self.state = self.store.load(self.initialState(addresses));
+
+        // A new deployment invalidates everything indexed for the previous one. After an upgrade the
+        // old apps are still listed, so reindexing brings their events back
+        if (JSON.stringify(self.state.contracts) !== JSON.stringify(addresses)) {
+            self.state = self.initialState(addresses);
+        }
+        return self.poll();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    addresses() {
+        let addresses = {};
+        Object.keys(this.contracts).forEach((name) =>
+            addresses[name] = this.contracts[name].map((contract) => contract.address));
+        return addresses;
+    }
+
+    initialState(addresses) {
+        return { contracts: addresses, lastBlock: this.firstBlock() - 1, checkpoints: [], events: [] };
+    }
+
+    // Nothing of the contracts can be older than the block they were deployed in
+    firstBlock() {
+        return this.settings.fromBlock || 0;
+    }
+
+    async poll() {
+        let self = this;
+        try {
+            await self.sync();
+        } catch (error) {
+            console.log('Event indexer failed to sync', error.message);
+        }
+        self.timer = setTimeout(() => self.poll(), self.settings.pollInterval);
+    }
+
+    async sync() {
+        let self = this;
+        await self.handleReorg();
+
+        let head = await self.web3.eth.getBlockNumber();
+        while (self.state.lastBlock < head) {
+            let fromBlock = self.state.lastBlock + 1;
+            let toBlock = Math.min(head, fromBlock + self.settings.batchSize - 1);
+
+            let events = await self.fetch(fromBlock, toBlock);
+            let block = await self.web3.eth.getBlock(toBlock);
+            if (!block) return; // The chain was rewound underneath us, picked up by the next sync
+
+            self.state.events.push(...events);
+            self.state.lastBlock = toBlock;
+            self.state.checkpoints.push({ number: toBlock, hash: block.hash });
+            self.state.checkpoints = self.state.checkpoints.slice(-self.settings.reorgDepth);
+            self.store.save(self.state);
+            events.forEach((event) => self.emit('event', event));
+        }
+    }
+
+    async fetch(fromBlock, toBlock) {
+        let self = this;
+        let deployments = [];
+        Object.keys(self.contracts).forEach((name) =>
+            self.contracts[name].forEach((contract) => deployments.push({ name: name, contract: contract })));
+
+        let batches = await Promise.all(deployments.map(async ({ name, contract }) => {
+            let events = await contract.getEvents('allEvents', { fromBlock: fromBlock, toBlock: toBlock });
+            return events.map((event) => EventIndexer.normalize(name, event));
+        }));
+
+        return [].concat(...batches)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    async handleReorg() {
+        let self = this;
+        let checkpoints = self.state.checkpoints;
+
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            let block = await self.web3.eth.getBlock(checkpoints[i].number);
+            if (block && block.hash === checkpoints[i].hash) {
+                if (i < checkpoints.length - 1) {
+                    console.log(`Event indexer rewinding to block ${checkpoints[i].number} after a reorg`);
+                    self.rewind(checkpoints[i].number, checkpoints.slice(0, i + 1));
+                }
+                return;
+            }
+        }
+
+        if (checkpoints.length > 0) {
+            console.log(`Event indexer found no common block with the chain, reindexing from block ${self.firstBlock()}`);
+            self.rewind(self.firstBlock() - 1, []);
+        }
+    }
+
+    rewind(blockNumber, checkpoints) {
+        this.state.events = this.state.events.filter((event) => event.blockNumber <= blockNumber);
+        this.state.lastBlock = blockNumber;
+        this.state.checkpoints = checkpoints;
+        this.store.save(this.state);
+    }
+
+    static normalize(contract, event) {
+        // web3 returns each value under both its index and its name, keep the names only
+        let returnValues = {};
+        Object.keys(event.returnValues)
+            .filter((key) => isNaN(Number(key)))
+            .forEach((key) => returnValues[key] = event.returnValues[key]);
+
+        return {
+            id: `${event.transactionHash}:${event.logIndex}`,
+            contract: contract,
+            address: event.address,
+            event: event.event,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+            returnValues: returnValues
+        };
+    }
+
+    /**
+     * Indexed events, oldest first, optionally narrowed down by contract name,
+     * contract address, event name and block range
+     */
+    query(filter = {}) {
+        return this.state.events.filter((event) =>
+            (!filter.contract || event.contract === filter.contract) &&
+            (!filter.address || event.address.toLowerCase() === filter.address.toLowerCase()) &&
+            (!filter.event || event.event === filter.event) &&
+            (filter.fromBlock === undefined || event.blockNumber >= filter.fromBlock) &&
+            (filter.toBlock === undefined || event.blockNumber <= filter.toBlock)
+        );
+    }
+}
@@ -0,0 +1,169 @@
+import { createProvider } from './providers';
+import { createPersona } from './personas';
+import { REQUEST_LABELS, REQUEST_PENDING } from '../client';
+
+// Number of recent requests reported by getRequests
+const TRACKED_REQUESTS = 50;
+
+/**
+ * Simulated oracle fleet.
+ * Registers a range of ganache accounts as oracles, caches the indexes each one
+ * was assigned and answers every OracleRequest whose drawn index matches.
+ * Status providers are handed out to the oracles round-robin, so a mix of
+ * providers makes the oracles disagree. Personas are handed out in order and
+ * every oracle left over is honest. Requests that are no longer pending by the
+ * time an oracle answers are skipped rather than submitted.
+ */
+export default class OracleFleet {
+    constructor(client, settings) {
+        this.client = client;
+        this.settings = settings;
+        this.providers = settings.providers.map(createProvider);
+        this.personas = [];
+        (settings.personas || []).forEach((spec) => {
+            for (let i = 0; i < (spec.count || 1); i++) {
+                this.personas.push(createPersona(spec));
+            }
+        });
+        this.honest = createPersona({ type: 'honest' });
+        this.oracles = [];
+        this.requests = [];
+    }
+
+    async start() {
+        let self = this;
+        let accounts = await self.client.web3.eth.getAccounts();
+        let { count, firstAccount } = self.settings;
+        let selected = accounts.slice(firstAccount, firstAccount + count);
+
+        if (selected.length < count) {
+            console.log(`Only ${selected.length} of ${count} oracle accounts are available, start ganache with more accounts`);
+        }
+
+        for (let [i, address] of selected.entries()) {
+            try {
+                let oracle = await self.register(address);
+                oracle.provider = self.providers[i % self.providers.length];
+                oracle.persona = self.personas[i] || self.honest;
+                oracle.stats = { requests: 0, submitted: 0, reported: 0, rejected: 0, silent: 0, late: 0, lastError: null };
+                self.oracles.push(oracle);
+            } catch (error) {
+                console.log(`Oracle ${address} could not be registered`, error.message);
+            }
+        }
+        console.log(`${self.oracles.length} oracles registered`);
+
+        self.client.app.subscribe('OracleRequest', (error, event) => {
+            if (error) return console.log(error);
+            let { airline, flight, timestamp } = event.returnValues;
+            // The oracles asked hold the index drawn from the hash of the request's block
+            let index = self.client.getRequestIndex(event.blockHash, airline, flight, timestamp);
+            self.respond({ ...event.returnValues, index: index, blockNumber: event.blockNumber });
+        });
+    }
+
+    async register(address) {
+        let self = this;
+        let isRegistered = await self.client.app.getOracle(address);
+        if (!isRegistered) {
+            await self.client.registerOracle(address, { gas: self.settings.gas });
+        }
+        let indexes = await self.client.app.getMyIndexes({ from: address });
+
+        return { address: address, indexes: indexes.map(Number) };
+    }
+
+    respond(request) {
+        let self = this;
+        let index = Number(request.index);
+        self.track({ ...request, index: index });
+        let matching = self.oracles.filter((oracle) => oracle.indexes.includes(index));
+
+        // Oracles answer independently so a slow one doesn't hold up the rest
+        return Promise.all(matching.map((oracle) => self.answer(oracle, { ...request, index: index })));
+    }
+
+    async answer(oracle, request) {
+        let self = this;
+        oracle.stats.requests++;
+        try {
+            let answer = await oracle.persona.answer(oracle, request);
+            if (!answer) {
+                oracle.stats.silent++;
+                return;
+            }
+
+            // Consensus may have been reached or the deadline passed while the oracle was busy
+            if (!await self.isPending(request)) {
+                oracle.stats.late++;
+                return;
+            }
+
+            // The drawn index can't be checked by a dry run until the chain is past the request's block
+            let dryRun = await self.client.isPastBlock(request.blockNumber);
+            oracle.stats.submitted++;
+            let receipt = await self.client.app.submitOracleResponse(
+                answer.index, request.airline, request.flight, request.timestamp, answer.statusCode,
+                { from: oracle.address, gas: self.settings.gas, dryRun: dryRun }
+            );
+            if (receipt.events && receipt.events.OracleReport) {
+                oracle.stats.reported++;
+            }
+        } catch (error) {
+            // Other oracles can close the request between the check and the response
+            if (!await self.isPending(request).catch(() => true)) {
+                oracle.stats.late++;
+                return;
+            }
+            oracle.stats.rejected++;
+            oracle.stats.lastError = error.message;
+            console.log(`Oracle ${oracle.address} (${oracle.persona.type}) response rejected`, error.message);
+        }
+    }
+
+    async isPending(request) {
+        let { state } = await this.client.getOracleRequest(request.airline, request.flight, request.timestamp);
+        return state === REQUEST_PENDING;
+    }
+
+    // Keeps the latest TRACKED_REQUESTS requests, a request announced again replaces the earlier one
+    track(request) {
+        let same = (other) => other.airline === request.airline && other.flight === request.flight
+            && String(other.timestamp) === String(request.timestamp);
+        this.requests = this.requests.filter((other) => !same(other));
+        this.requests.push(request);
+        this.requests = this.requests.slice(-TRACKED_REQUESTS);
+    }
+
+    /**
+     * The recent requests, latest first, with their state read from FlightSuretyApp
+     */
+    getRequests() {
+        let self = this;
+        return Promise.all(self.requests.slice().reverse().map(async (request) => {
+            let state = await self.client.getOracleRequest(request.airline, request.flight, request.timestamp);
+            return { ...state, stateLabel: REQUEST_LABELS[state.state] };
+        }));
+    }
+
+    /**
+     * Per-oracle report of which responses landed and which were rejected, with the
+     * stake, rewards, earnings and slashed stake of each oracle in wei
+     */
+    getStats() {
+        let self = this;
+        return Promise.all(self.oracles.map(async (oracle) => {
+            let account = await self.client.app.oracles(oracle.address);
+            return {
+                address: oracle.address,
+                indexes: oracle.indexes,
+                persona: oracle.persona.type,
+                ...oracle.stats,
+                stake: account.stake,
+                rewards: account.rewards,
+                earned: account.earned,
+                slashed: account.slashed
+            };
+        }));
+    }
+}
@@ -0,0 +1,75 @@
+import { STATUS_CODE_LATE_AIRLINE } from '../client/statusCodes';
+
+/**
+ * Oracle personas decide how an oracle answers a request it was invited to.
+ * answer(oracle, request) resolves to the { index, statusCode } to submit,
+ * or null when the oracle stays silent.
+ */
+
+// Reports whatever its status provider says
+class HonestPersona {
+    async answer(oracle, request) {
+        return { index: request.index, statusCode: await oracle.provider.getStatus(request) };
+    }
+}
+
+// Colludes with the other liars by always blaming the airline
+class LiarPersona {
+    constructor(options) {
+        this.statusCode = options.statusCode === undefined ? STATUS_CODE_LATE_AIRLINE : Number(options.statusCode);
+    }
+
+    async answer(oracle, request) {
+        return { index: request.index, statusCode: this.statusCode };
+    }
+}
+
+// Never answers
+class SilentPersona {
+    async answer() {
+        return null;
+    }
+}
+
+// Answers honestly after a delay
+class SlowPersona extends HonestPersona {
+    constructor(options) {
+        super();
+        this.delay = options.delay === undefined ? 5000 : Number(options.delay);
+    }
+
+    async answer(oracle, request) {
+        await new Promise((resolve) => setTimeout(resolve, this.delay));
+        return super.answer(oracle, request);
+    }
+}
+
+// Answers with one of its other indexes instead of the one requested
+class WrongIndexPersona extends HonestPersona {
+    async answer(oracle, request) {
+        let answer = await super.answer(oracle, request);
+        answer.index = oracle.indexes.find((index) => index !== request.index);
+        return answer;
+    }
+}
+
+const personas = {
+    honest: HonestPersona,
+    liar: LiarPersona,
+    silent: SilentPersona,
+    slow: SlowPersona,
+    wrongIndex: WrongIndexPersona
+};
+
+/**
+ * Builds a persona from its settings entry, e.g. `{ "type": "slow", "delay": 5000 }`.
+ */
+export function createPersona(spec) {
+    let Persona = personas[spec.type];
+    if (!Persona) {
+        throw new Error(`Unknown oracle persona "${spec.type}"`);
+    }
+    let persona = new Persona(spec);
+    persona.type = spec.type;
+    return persona;
+}
@@ -0,0 +1,14 @@
+import { STATUS_CODE_ON_TIME } from '../../client/statusCodes';
+
+/**
+ * Always reports the same status code.
+ */
+export default class FixedStatusProvider {
+    constructor(options = {}) {
+        this.statusCode = options.statusCode === undefined ? STATUS_CODE_ON_TIME : Number(options.statusCode);
+    }
+
+    getStatus() {
+        return this.statusCode;
+    }
+}
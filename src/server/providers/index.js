@@ -0,0 +1,24 @@
+import FixedStatusProvider from './fixed';
+import RandomStatusProvider from './random';
+import RuleStatusProvider from './rules';
+import ScheduleStatusProvider from './schedule';
+
+const providers = {
+    fixed: FixedStatusProvider,
+    random: RandomStatusProvider,
+    rules: RuleStatusProvider,
+    schedule: ScheduleStatusProvider
+};
+
+/**
+ * Builds a flight status provider from its settings entry, e.g. `{ "type": "random" }`.
+ * Every provider exposes getStatus({ airline, flight, timestamp }) returning a status
+ * code or a promise of one.
+ */
+export function createProvider(spec) {
+    let Provider = providers[spec.type];
+    if (!Provider) {
+        throw new Error(`Unknown flight status provider "${spec.type}"`);
+    }
+    return new Provider(spec);
+}
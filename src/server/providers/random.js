@@ -0,0 +1,31 @@
+import { STATUS_CODES } from '../../client/statusCodes';
+
+/**
+ * Picks a status code at random, weighted per status code.
+ * Status codes missing from the weights are never reported.
+ */
+export default class RandomStatusProvider {
+    constructor(options = {}) {
+        let weights = options.weights || {};
+        this.weights = STATUS_CODES
+            .map((statusCode) => ({
+                statusCode: statusCode,
+                weight: options.weights ? Number(weights[statusCode] || 0) : 1
+            }))
+            .filter((entry) => entry.weight > 0);
+        this.total = this.weights.reduce((sum, entry) => sum + entry.weight, 0);
+
+        if (this.total === 0) {
+            throw new Error('Random status provider needs at least one positive weight');
+        }
+    }
+
+    getStatus() {
+        let pick = Math.random() * this.total;
+        for (let entry of this.weights) {
+            pick -= entry.weight;
+            if (pick < 0) return entry.statusCode;
+        }
+        return this.weights[this.weights.length - 1].statusCode;
+    }
+}
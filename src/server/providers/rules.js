@@ -0,0 +1,27 @@
+import { STATUS_CODES } from '../../client/statusCodes';
+
+/**
+ * Deterministic status keyed on the flight number.
+ * The first rule whose pattern matches the flight wins; flights no rule matches
+ * get a status code derived from a hash of the flight number, so every oracle
+ * using the same rules reports the same status for the same flight.
+ */
+export default class RuleStatusProvider {
+    constructor(options = {}) {
+        this.rules = (options.rules || []).map((rule) => ({
+            pattern: new RegExp(rule.pattern),
+            statusCode: Number(rule.statusCode)
+        }));
+    }
+
+    getStatus(request) {
+        let rule = this.rules.find((rule) => rule.pattern.test(request.flight));
+        if (rule) return rule.statusCode;
+
+        let hash = 0;
+        for (let i = 0; i < request.flight.length; i++) {
+            hash = (hash * 31 + request.flight.charCodeAt(i)) % 1000003;
+        }
+        return STATUS_CODES[hash % STATUS_CODES.length];
+    }
+}
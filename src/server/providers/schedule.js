@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+import { STATUS_CODE_UNKNOWN } from '../../client/statusCodes';
+import { parseCsv } from '../schedule';
+
+/**
+ * Reports the status recorded for a flight in a local schedule file.
+ * The file is either a JSON array or a CSV with a header row, each entry carrying
+ * `flight`, `statusCode` and optionally `timestamp`. An entry without a timestamp
+ * matches every departure of that flight.
+ */
+export default class ScheduleStatusProvider {
+    constructor(options = {}) {
+        if (!options.file) {
+            throw new Error('Schedule status provider needs a schedule file');
+        }
+        this.file = path.resolve(process.cwd(), options.file);
+        this.fallback = options.fallback === undefined ? STATUS_CODE_UNKNOWN : Number(options.fallback);
+        this.entries = ScheduleStatusProvider.load(this.file);
+    }
+
+    static load(file) {
+        let contents = fs.readFileSync(file, 'utf-8');
+        let rows = path.extname(file).toLowerCase() === '.csv'
+            ? parseCsv(contents)
+            : JSON.parse(contents);
+
+        return rows.map((row) => ({
+            flight: String(row.flight).trim(),
+            timestamp: row.timestamp === undefined || row.timestamp === '' ? null : String(row.timestamp).trim(),
+            statusCode: Number(row.statusCode)
+        }));
+    }
+
+    getStatus(request) {
+        let timestamp = String(request.timestamp);
+        let entry = this.entries.find((entry) => entry.flight === request.flight && entry.timestamp === timestamp)
+            || this.entries.find((entry) => entry.flight === request.flight && entry.timestamp === null);
+
+        return entry ? entry.statusCode : this.fallback;
+    }
+}
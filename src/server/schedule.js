@@ -0,0 +1,46 @@
+/**
+ * Parses CSV with a header row into one object per line, keyed by column name
+ */
+export function parseCsv(contents) {
+    let lines = contents.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length === 0) return [];
+    let header = lines.shift().split(',').map((column) => column.trim());
+
+    return lines.map((line) => {
+        let values = line.split(',');
+        let row = {};
+        header.forEach((column, i) => row[column] = values[i] === undefined ? '' : values[i].trim());
+        return row;
+    });
+}
+
+/**
+ * Parses a flight schedule into `{ flight, timestamp }` entries.
+ * Each entry names its `flight` and either a unix `timestamp` or an ISO `departure` date.
+ * Throws on the first invalid entry, naming its position in the file.
+ */
+export function parseSchedule(contents, format) {
+    let rows;
+    if (format === 'csv') {
+        rows = parseCsv(contents);
+    } else if (format === 'json') {
+        rows = JSON.parse(contents);
+        if (!Array.isArray(rows)) throw new Error('A JSON schedule must be an array of flights');
+    } else {
+        throw new Error('The schedule format must be csv or json');
+    }
+
+    return rows.map((row, i) => {
+        let flight = row.flight === undefined ? '' : String(row.flight).trim();
+        if (flight === '') throw new Error(`Flight ${i + 1} has no flight number`);
+
+        let timestamp = row.timestamp !== undefined && row.timestamp !== ''
+            ? Number(row.timestamp)
+            : Math.floor(Date.parse(row.departure) / 1000);
+        if (!Number.isInteger(timestamp) || timestamp <= 0) {
+            throw new Error(`Flight ${flight} needs a unix timestamp or an ISO departure date`);
+        }
+
+        return { flight: flight, timestamp: timestamp };
+    });
+}
@@ -1,27 +1,61 @@
-import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
-import Config from './config.json';
+import FlightSuretyClient, { ContractClient, findDeployment } from '../client';
+import Registry from '../../deployments.json';
+import Settings from './settings.json';
 import Web3 from 'web3';
 import express from 'express';
+import OracleFleet from './oracles';
+import EventIndexer from './indexer';
+import JsonStore from './store';
+import createApi from './api';
+import createEventStream from './stream';
 
 
-let config = Config['localhost'];
+let config = findDeployment(Registry, { network: process.env.FLIGHTSURETY_NETWORK });
 let web3 = new Web3(new Web3.providers.WebsocketProvider(config.url.replace('http', 'ws')));
-web3.eth.defaultAccount = web3.eth.accounts[0];
-let flightSuretyApp = new web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
+let client = new FlightSuretyClient(web3, config);
+
+let stale = client.staleContracts(config);
+if (stale.length > 0) {
+    console.log(`${stale.join(' and ')} changed since the deployment on ${config.network}, run truffle migrate`);
+}
+
+let oracleFleet = new OracleFleet(client, Settings.oracles);
+oracleFleet.start().catch((error) => console.log('Oracle fleet failed to start', error));
+
+let indexer = new EventIndexer(
+    web3,
+    {
+        // The apps replaced by upgrades are indexed too, they hold the oracle history of the flights
+        FlightSuretyApp: config.previousAppAddresses
+            .map((address) => new ContractClient(web3, client.app.abi, address))
+            .concat(client.app),
+        FlightSuretyData: [client.data]
+    },
+    new JsonStore(Settings.indexer.file),
+    { ...Settings.indexer, fromBlock: config.deployBlock }
+);
+indexer.start();
 
+const app = express();
 
-flightSuretyApp.events.OracleRequest({
-    fromBlock: 0
-  }, function (error, event) {
-    if (error) console.log(error)
-    console.log(event)
+// The dapp is served from its own dev server
+app.use((req, res, next) => {
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
 });
 
-const app = express();
-app.get('/api', (req, res) => {
-    res.send({
-      message: 'An API for use with your Dapp!'
-    })
+app.use('/api', createApi(client, indexer, Settings.api));
+app.use('/api', createEventStream(client, indexer, Settings.stream));
+
+app.get('/api/oracles', (req, res) => {
+    Promise.all([oracleFleet.getStats(), oracleFleet.getRequests()])
+        .then(([oracles, requests]) => res.send({
+            oracles: oracles,
+            requests: requests
+        }))
+        .catch((error) => res.status(500).send({ error: error.message }));
 })
 
 export default app;
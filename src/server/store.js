@@ -0,0 +1,25 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Embedded store keeping a single JSON document on disk.
+ * Writes go to a temporary file that is then renamed over the store, so a
+ * crash mid-write never leaves a truncated document behind.
+ */
+export default class JsonStore {
+    constructor(file) {
+        this.file = path.resolve(process.cwd(), file);
+    }
+
+    load(defaults) {
+        if (!fs.existsSync(this.file)) return defaults;
+        return { ...defaults, ...JSON.parse(fs.readFileSync(this.file, 'utf-8')) };
+    }
+
+    save(document) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        let temporary = `${this.file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(document), 'utf-8');
+        fs.renameSync(temporary, this.file);
+    }
+}
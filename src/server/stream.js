@@ -0,0 +1,68 @@
+import express from 'express';
+
+/**
+ * Server-Sent Events channel forwarding the events of the indexer.
+ * GET /stream?flightKey=0x..&passenger=0x.. only forwards the events of that
+ * flight and/or passenger. Events are sent as unnamed messages carrying the
+ * indexed event, so a client only needs onmessage. A reconnecting EventSource
+ * sends the id of the last event it saw and gets everything it missed since then.
+ */
+export default function createEventStream(client, indexer, settings) {
+    const router = express.Router();
+
+    // Every connected client listens to the indexer
+    indexer.setMaxListeners(0);
+
+    // Flight key of an event, derived like getFlightKey when the event names the flight
+    const flightKeyOf = (values) => {
+        if (values.flightKey) return values.flightKey;
+        if (values.airline && values.flight && values.timestamp) {
+            return client.getFlightKey(values.airline, values.flight, values.timestamp);
+        }
+        return null;
+    };
+
+    const passengerOf = (values) => values.beneficiary || values.passenger || null;
+
+    const matches = (event, filter) => {
+        if (filter.flightKey && String(flightKeyOf(event.returnValues)).toLowerCase() !== filter.flightKey) return false;
+        if (filter.passenger && String(passengerOf(event.returnValues)).toLowerCase() !== filter.passenger) return false;
+        return true;
+    };
+
+    router.get('/stream', (req, res) => {
+        let filter = {
+            flightKey: req.query.flightKey ? String(req.query.flightKey).toLowerCase() : null,
+            passenger: req.query.passenger ? String(req.query.passenger).toLowerCase() : null
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        const send = (event) => {
+            if (!matches(event, filter)) return;
+            res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        let lastEventId = req.get('Last-Event-ID');
+        if (lastEventId) {
+            let events = indexer.query();
+            let position = events.findIndex((event) => event.id === lastEventId);
+            if (position >= 0) events.slice(position + 1).forEach(send);
+        }
+
+        // Comments keep proxies from closing an idle connection
+        let heartbeat = setInterval(() => res.write(': heartbeat\n\n'), settings.heartbeatInterval);
+
+        indexer.on('event', send);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            indexer.removeListener('event', send);
+        });
+    });
+
+    return router;
+}
@@ -9,8 +9,32 @@ contract("Flight Surety Tests", async (accounts) => {
       config.flightSuretyApp.address,
       { from: config.owner }
     );
+    // The tests of FlightSuretyData call it directly, in place of the app contract
+    await config.flightSuretyData._authorizeCaller(config.owner, {
+      from: config.owner,
+    });
   });
 
+  // FlightSuretyData only sells the policies an airline can cover, so the insurance tests
+  // on FlightSuretyData insure flights of an airline funded with 10 ether
+  const registerInsuredFlight = async function (flight) {
+    let airline = config.testAddresses[0];
+    let account = await config.flightSuretyData.getAirlineAccount(airline);
+    if (account.funded.toString() === "0") {
+      await config.flightSuretyData.fund(airline, {
+        value: web3.utils.toWei("10", "ether"),
+      });
+    }
+    let flightKey = web3.utils.keccak256(flight);
+    await config.flightSuretyData._registerFlight(
+      0,
+      airline,
+      flight,
+      flightKey
+    );
+    return flightKey;
+  };
+
   /****************************************************************************************/
   /* Operations and Settings                                                              */
   /****************************************************************************************/
@@ -21,6 +45,25 @@ contract("Flight Surety Tests", async (accounts) => {
     assert.equal(status, true, "Incorrect initial operating status value");
   });
 
+  it(`(multiparty) reports the contract owner of both contracts with getContractOwner()`, async function () {
+    let appOwner = await config.flightSuretyApp.getContractOwner();
+    let dataOwner = await config.flightSuretyData.getContractOwner();
+    assert.equal(appOwner, config.owner, "Incorrect owner of the app contract");
+    assert.equal(dataOwner, config.owner, "Incorrect owner of the data contract");
+  });
+
+  it(`(multiparty) can pause the app and data contracts independently`, async function () {
+    // ACT
+    await config.flightSuretyApp.setOperatingStatus(false, { from: config.owner });
+    let appStatus = await config.flightSuretyApp.isOperational();
+    let dataStatus = await config.flightSuretyData.isOperational();
+    await config.flightSuretyApp.setOperatingStatus(true, { from: config.owner });
+
+    // ASSERT
+    assert.equal(appStatus, false, "The app contract should be paused");
+    assert.equal(dataStatus, true, "The data contract should still be operational");
+  });
+
   it(`(multiparty) can block access to setOperatingStatus() for non-Contract Owner account`, async function () {
     // Ensure that access is denied for non-Contract Owner account
     let accessDenied = false;
@@ -99,10 +142,9 @@ contract("Flight Surety Tests", async (accounts) => {
         await config.flightSuretyData.refund(accounts[i]);
       }
 
-      await config.flightSuretyApp.airlineFunding({
-        from: airline,
+      // Funded through FlightSuretyData, FlightSuretyApp only takes the fund of registered airlines
+      await config.flightSuretyData.fund(airline, {
         value: initialFund,
-        gasPrice: 0,
       });
 
       numOfAirlines = await config.flightSuretyApp.getNumOfFundedAirlines();
@@ -122,10 +164,9 @@ contract("Flight Surety Tests", async (accounts) => {
     let amount = new BigNumber(web3.utils.toWei("10", "ether"));
     let balance;
     try {
-      await config.flightSuretyApp.airlineFunding({
-        from: airline,
+      // Funded through FlightSuretyData, FlightSuretyApp only takes the fund of registered airlines
+      await config.flightSuretyData.fund(airline, {
         value: amount,
-        gasPrice: 0,
       });
       balance = await config.flightSuretyApp.checkFunds({
         from: airline,
@@ -211,7 +252,6 @@ contract("Flight Surety Tests", async (accounts) => {
     let owner = config.owner;
     let initialFund = new BigNumber(web3.utils.toWei("10", "ether"));
     let registerResultForOwner;
-    let authorizedArr = [];
     let resultArr = [];
     let finalResultArr = [];
 
@@ -220,15 +260,7 @@ contract("Flight Surety Tests", async (accounts) => {
       await config.flightSuretyData.refund(accounts[i]);
     }
 
-    await config.flightSuretyApp.resetVotedAirlines();
-
-    // // The contract owner registers itself first. However, no need to authorize.
-    await config.flightSuretyApp.airlineFunding({
-      from: owner,
-      value: initialFund,
-      gasPrice: 0,
-    });
-
+    // The contract owner registers itself first, then the first 3 airlines
     registerResultForOwner = await config.flightSuretyApp.registerAirline.call(
       owner,
       "First airline",
@@ -237,44 +269,34 @@ contract("Flight Surety Tests", async (accounts) => {
         gasPrice: 0,
       }
     );
+    await config.flightSuretyApp.registerAirline(owner, "First airline", {
+      from: owner,
+    });
+    await config.flightSuretyApp.airlineFunding({
+      from: owner,
+      value: initialFund,
+      gasPrice: 0,
+    });
 
     // first 4 airlines including the contract owner
     for (let i = 1; i < 4; i++) {
-      await config.flightSuretyData._authorizeCaller(accounts[i], {
+      // register
+      await config.flightSuretyApp.registerAirline(accounts[i], `airline${i}`, {
         from: owner,
+        gasPrice: 0,
       });
-      const isAuthorized = await config.flightSuretyData._isAuthorizedCaller(
-        accounts[i]
-      );
-      authorizedArr.push(isAuthorized);
-      // the airlines have to first pay the 10 ether deposit to pass the requireFundDeposited modifier in FlightSuretyApp
+      // the registered airlines have to pay the 10 ether deposit to take part in FlightSuretyApp
       await config.flightSuretyApp.airlineFunding({
         from: accounts[i],
         value: initialFund,
         gasPrice: 0,
       });
-      // register
-      const isRegistered = await config.flightSuretyApp.registerAirline.call(
-        accounts[i],
-        `airline${i}`,
-        {
-          from: owner,
-          gasPrice: 0,
-        }
-      );
-
-      const multiSig = await config.flightSuretyData._getMultiSigLength();
 
       // the array that shows how many successful airline registrations out of the first 3
-      resultArr.push(isRegistered);
+      resultArr.push(await config.flightSuretyData._isAirline(accounts[i]));
     }
 
-    await config.flightSuretyApp.airlineFunding({
-      from: accounts[4],
-      value: initialFund,
-      gasPrice: 0,
-    });
-
+    // the registered airlines vote until the 5th airline is in
     for (let i = 0; i < 4; i++) {
       const isRegistered = await config.flightSuretyApp.registerAirline.call(
         accounts[4],
@@ -283,32 +305,40 @@ contract("Flight Surety Tests", async (accounts) => {
           from: accounts[i],
         }
       );
+      await config.flightSuretyApp.registerAirline(accounts[4], "The 5th airline", {
+        from: accounts[i],
+      });
 
       finalResultArr.push(isRegistered);
+      if (isRegistered) break;
     }
+    // the 5th airline pays its deposit once it is voted in
+    await config.flightSuretyApp.airlineFunding({
+      from: accounts[4],
+      value: initialFund,
+      gasPrice: 0,
+    });
 
     assert.isTrue(
       registerResultForOwner,
       "The owner was not registered properly"
     );
 
-    for (let i = 0; i < authorizedArr.length; i++) {
-      assert.isTrue(
-        authorizedArr[i],
-        `The airline${i} was not authorized properly`
-      );
-    }
-
     for (let i = 0; i < resultArr.length; i++) {
       assert.isTrue(
         resultArr[i],
-        `The airline${i} was not registered properly`
+        `The airline${i + 1} was not registered properly`
       );
     }
 
+    assert.deepEqual(
+      finalResultArr,
+      [false, true],
+      "The 5th airline hasn't been properly voted in by half of the airlines"
+    );
     assert.isTrue(
-      finalResultArr[finalResultArr.length - 1],
-      "The 5th airline hasn't been properly voted in"
+      await config.flightSuretyData._isAirline(accounts[4]),
+      "The 5th airline is not registered"
     );
   });
 
@@ -353,7 +383,7 @@ contract("Flight Surety Tests", async (accounts) => {
         newAirline,
         "New airline",
         {
-          from: accounts[1],
+          from: config.owner,
         }
       );
     } catch (e) {}
@@ -379,14 +409,14 @@ contract("Flight Surety Tests", async (accounts) => {
         existingAirline,
         "New airline",
         {
-          from: accounts[1],
+          from: config.owner,
         }
       );
       await config.flightSuretyData._registerAirline(
         existingAirline,
         "New airline",
         {
-          from: accounts[1],
+          from: config.owner,
         }
       );
     } catch (e) {
@@ -400,22 +430,23 @@ contract("Flight Surety Tests", async (accounts) => {
     );
   });
 
-  it("can query the insurance using the beneficiary address and return the correct the payout amount and the flight address", async () => {
+  it("can query the insurance using the beneficiary address and the flight key and return the correct premium", async () => {
     // ARRANGE
     let beneficiary = accounts[2];
-    let flightAddress = accounts[3];
+    let flightKey = await registerInsuredFlight("Query Flight");
     let insurance;
     let eventEmitted = false;
     let insuranceValue = new BigNumber(web3.utils.toWei("1", "ether"));
 
     // ACT
     try {
-      await config.flightSuretyData.buy(beneficiary, flightAddress, {
+      await config.flightSuretyData.buy(beneficiary, flightKey, {
         value: insuranceValue,
         gasPrice: 0,
       });
       insurance = await config.flightSuretyData.insuranceQuery.call(
-        beneficiary
+        beneficiary,
+        flightKey
       );
     } catch (e) {
       throw new Error(e);
@@ -425,18 +456,74 @@ contract("Flight Surety Tests", async (accounts) => {
       eventEmitted = true;
     });
 
-    const converted = web3.utils.fromWei(insurance[1], "ether");
+    const converted = web3.utils.fromWei(insurance[0], "ether");
 
     // ASSERT
+    assert.equal(converted, 1, "The insurance premium is not accurate");
     assert.equal(
-      insurance[0],
-      flightAddress,
-      "The insurance flightAddress is not accurate"
+      web3.utils.fromWei(insurance[1], "ether"),
+      1.5,
+      "The quoted payout is not accurate"
     );
-    assert.equal(converted, 1, "The insurance payout amount is not accurate");
+    assert.isFalse(insurance[2], "The insurance should not be credited yet");
     assert.isTrue(eventEmitted, "The event InsuranceBought is not emitted");
   });
 
+  it("keeps one policy per passenger and flight, and a list of insurees per flight", async () => {
+    // ARRANGE
+    let firstPassenger = accounts[8];
+    let secondPassenger = accounts[9];
+    let firstFlight = await registerInsuredFlight("First Policy Flight");
+    let secondFlight = await registerInsuredFlight("Second Policy Flight");
+
+    // ACT
+    await config.flightSuretyData.buy(firstPassenger, firstFlight, {
+      value: web3.utils.toWei("0.2", "ether"),
+    });
+    await config.flightSuretyData.buy(firstPassenger, secondFlight, {
+      value: web3.utils.toWei("0.3", "ether"),
+    });
+    await config.flightSuretyData.buy(secondPassenger, firstFlight, {
+      value: web3.utils.toWei("0.4", "ether"),
+    });
+    let firstPolicy = await config.flightSuretyData.insuranceQuery.call(
+      firstPassenger,
+      firstFlight
+    );
+    let secondPolicy = await config.flightSuretyData.insuranceQuery.call(
+      firstPassenger,
+      secondFlight
+    );
+    let policies = await config.flightSuretyData.policiesQuery.call(
+      firstPassenger
+    );
+    let insurees = await config.flightSuretyData.insureesQuery.call(
+      firstFlight
+    );
+
+    // ASSERT
+    assert.equal(
+      web3.utils.fromWei(firstPolicy[0], "ether"),
+      0.2,
+      "The second policy overwrote the first one"
+    );
+    assert.equal(
+      web3.utils.fromWei(secondPolicy[0], "ether"),
+      0.3,
+      "The premium of the second policy is not accurate"
+    );
+    assert.deepEqual(
+      policies,
+      [firstFlight, secondFlight],
+      "The policies of the passenger are not accurate"
+    );
+    assert.deepEqual(
+      insurees,
+      [firstPassenger, secondPassenger],
+      "The insurees of the flight are not accurate"
+    );
+  });
+
   it("reverts when the insurance query fails", async () => {
     // ARRANGE
     let beneficiary = accounts[5];
@@ -444,7 +531,10 @@ contract("Flight Surety Tests", async (accounts) => {
 
     // ACT
     try {
-      await config.flightSuretyData.insuranceQuery.call(beneficiary);
+      await config.flightSuretyData.insuranceQuery.call(
+        beneficiary,
+        web3.utils.keccak256("Query Flight")
+      );
     } catch {
       isReverted = true;
     }
@@ -459,19 +549,23 @@ contract("Flight Surety Tests", async (accounts) => {
   it("can credit the insuree and query for the balance with the beneficiary address", async () => {
     // ARRANGE
     let beneficiary = accounts[7];
-    let flightAddress = accounts[9];
+    let flightKey = await registerInsuredFlight("Credited Flight");
     let eventEmitted = false;
     let insuranceValue = new BigNumber(web3.utils.toWei("1", "ether"));
 
     // ACT
     await config.flightSuretyData.setOperatingStatus(true);
-    await config.flightSuretyData.buy(beneficiary, flightAddress, {
+    await config.flightSuretyData.buy(beneficiary, flightKey, {
       value: insuranceValue,
     });
-    await config.flightSuretyData.creditInsurees(beneficiary);
+    await config.flightSuretyData.creditInsurees(flightKey);
     const result = await config.flightSuretyData.pendingCreditQuery(
       beneficiary
     );
+    const insurance = await config.flightSuretyData.insuranceQuery(
+      beneficiary,
+      flightKey
+    );
 
     await config.flightSuretyData.contract.events.CreditIssuedToInsuree(
       function () {
@@ -488,63 +582,81 @@ contract("Flight Surety Tests", async (accounts) => {
       1.5,
       "The insurance payout amount is not accurate"
     );
+    assert.isTrue(insurance[2], "The insurance is not marked as credited");
     assert.isTrue(
       eventEmitted,
       "The CreditIssuedToInsuree event is not emitted"
     );
   });
 
-  it("buy() is reverted when msg.value is 0, creditInsurees() is reverted when the balance in insurance[beneficiary].amount is 0", async () => {
+  it("buy() is reverted when msg.value is 0 or when the passenger already insured the flight", async () => {
     // ARRANGE
     let beneficiary = accounts[2];
-    let flightAddress = accounts[9];
-    let isReverted = false;
+    let flightKey = web3.utils.keccak256("Query Flight");
+    let revertedArr = [];
 
     // ACT
-    try {
-      await config.flightSuretyData.buy(beneficiary, flightAddress, {
-        value: 0,
-      });
-      await config.flightSuretyData.creditInsurees(beneficiary);
-    } catch {
-      isReverted = true;
+    for (let value of [0, web3.utils.toWei("0.1", "ether")]) {
+      let isReverted = false;
+      try {
+        await config.flightSuretyData.buy(beneficiary, flightKey, {
+          value: value,
+        });
+      } catch {
+        isReverted = true;
+      }
+      revertedArr.push(isReverted);
     }
 
+    // ASSERT
+    assert.isTrue(revertedArr[0], "buy() is not reverted for 0 ether");
     assert.isTrue(
-      isReverted,
-      "creditInsurees() is not reverted even though insurance[beneficiary].amount is 0"
+      revertedArr[1],
+      "buy() is not reverted even though the passenger already insured the flight"
     );
   });
 
-  it("reverts when the amount of balance in the pending credit is 0", async () => {
+  it("credits each policy of a flight only once", async () => {
     // ARRANGE
-    let beneficiary = accounts[5];
-    let isReverted = false;
+    let beneficiary = accounts[7];
+    let flightKey = web3.utils.keccak256("Credited Flight");
+    let before = await config.flightSuretyData.pendingCreditQuery(beneficiary);
 
     // ACT
-    try {
-      await config.flightSuretyData.creditInsurees(beneficiary);
-    } catch {
-      isReverted = true;
-    }
+    await config.flightSuretyData.creditInsurees(flightKey);
+    await config.flightSuretyData.creditInsurees(
+      web3.utils.keccak256("Uninsured Flight")
+    );
+    let after = await config.flightSuretyData.pendingCreditQuery(beneficiary);
 
     // ASSERT
-    assert.isTrue(
-      isReverted,
-      "creditInsurees() is not reverted even though the person is not insured"
+    assert.equal(
+      after.toString(),
+      before.toString(),
+      "The pending credit changed after crediting the flight again"
     );
   });
 
   it("can pay the payout from the pending credit to the proper beneficiary", async () => {
     // ARRANGE
     let beneficiary = accounts[2];
-    let flightAddress = accounts[4];
+    let flightKey = await registerInsuredFlight("Paid Flight");
     let initialBalance;
     let postBalance;
     let eventEmitted = false;
     let insuranceValue = new BigNumber(web3.utils.toWei("1", "ether"));
 
     // ACT
+    await config.flightSuretyData.setOperatingStatus(true);
+    await config.flightSuretyData.buy(beneficiary, flightKey, {
+      value: insuranceValue,
+      gasPrice: 0,
+    });
+    await config.flightSuretyData.creditInsurees(flightKey);
+    const result = await config.flightSuretyData.pendingCreditQuery(
+      beneficiary
+    );
+
     try {
       initialBalance = web3.utils.fromWei(
         await web3.eth.getBalance(beneficiary),
@@ -554,18 +666,7 @@ contract("Flight Surety Tests", async (accounts) => {
       throw new Error(e);
     }
 
-    await config.flightSuretyData.setOperatingStatus(true);
-    await config.flightSuretyData.buy(beneficiary, flightAddress, {
-      value: insuranceValue,
-      gasPrice: 0,
-    });
-    await config.flightSuretyData.creditInsurees(beneficiary);
-    const result = await config.flightSuretyData.pendingCreditQuery(
-      beneficiary
-    );
-
-    await config.flightSuretyData.pay({
-      from: beneficiary,
+    await config.flightSuretyData.pay(beneficiary, {
       gasPrice: 0,
     });
     await config.flightSuretyData.contract.events.InsurancePayoutPaid(
@@ -597,7 +698,7 @@ contract("Flight Surety Tests", async (accounts) => {
     let initialFund = new BigNumber(web3.utils.toWei("10", "ether"));
     let eventEmitted = false;
     await config.flightSuretyData.refund(airline);
-    await config.flightSuretyData.fund(airline, initialFund);
+    await config.flightSuretyData.fund(airline, { value: initialFund });
     const retrievedFund = await config.flightSuretyData._checkFunds(airline);
 
     config.flightSuretyData.contract.events.FundedByAirline(function () {
@@ -622,7 +723,8 @@ contract("Flight Surety Tests", async (accounts) => {
 
     // ACT
     try {
-      await config.flightSuretyData.fund(airline, initialFund, {
+      await config.flightSuretyData.fund(airline, {
+        value: initialFund,
         gasPrice: 0,
       });
     } catch {
@@ -643,12 +745,12 @@ contract("Flight Surety Tests", async (accounts) => {
     let isReverted = false;
 
     // ACT
-    await config.flightSuretyData.fund(airline, initialFund, {
+    await config.flightSuretyData.fund(airline, {
+      value: initialFund,
       gasPrice: 0,
     });
     try {
-      await config.flightSuretyData.fund({
-        from: airline,
+      await config.flightSuretyData.fund(airline, {
         value: initialFund,
         gasPrice: 0,
       });
@@ -695,7 +797,6 @@ contract("Flight Surety Tests", async (accounts) => {
   it("can register flight", async () => {
     // ARRANGE
     let isRegistered;
-    let statusCode = 0;
     let updatedTimestamp = 1234;
     let airline = config.firstAirline;
     let flight = "First Flight";
@@ -703,10 +804,10 @@ contract("Flight Surety Tests", async (accounts) => {
     // ACT
     try {
       await config.flightSuretyApp.registerFlight(
-        statusCode,
         updatedTimestamp,
         airline,
-        flight
+        flight,
+        { from: airline }
       );
 
       isRegistered = await config.flightSuretyApp.isFlightRegistered(
@@ -722,23 +823,1454 @@ contract("Flight Surety Tests", async (accounts) => {
     assert.isTrue(isRegistered, "The flight is not registered");
   });
 
+  it("(passenger) can buy insurance for a registered flight using buyInsurance()", async () => {
+    // ARRANGE
+    let passenger = accounts[6];
+    let airline = config.firstAirline;
+    let premium = new BigNumber(web3.utils.toWei("0.5", "ether"));
+    let insurance;
+
+    // ACT
+    try {
+      await config.flightSuretyApp.buyInsurance(airline, "First Flight", 1234, {
+        from: passenger,
+        value: premium,
+      });
+      insurance = await config.flightSuretyData.insuranceQuery.call(
+        passenger,
+        await config.flightSuretyApp.getFlightKey(airline, "First Flight", 1234)
+      );
+    } catch (e) {
+      console.log(e.message);
+    }
+
+    // ASSERT
+    assert.equal(
+      web3.utils.fromWei(insurance[0], "ether"),
+      0.5,
+      "The insurance premium is not accurate"
+    );
+  });
+
+  it("(passenger) cannot buy insurance for more than 1 ether, for 0 ether or for an unregistered flight", async () => {
+    // ARRANGE
+    let passenger = accounts[6];
+    let airline = config.firstAirline;
+    let purchases = [
+      { flight: "First Flight", timestamp: 1234, value: web3.utils.toWei("1.1", "ether") },
+      { flight: "First Flight", timestamp: 1234, value: 0 },
+      { flight: "Unknown Flight", timestamp: 1234, value: web3.utils.toWei("1", "ether") },
+    ];
+    let revertedArr = [];
+
+    // ACT
+    for (let purchase of purchases) {
+      let isReverted = false;
+      try {
+        await config.flightSuretyApp.buyInsurance(
+          airline,
+          purchase.flight,
+          purchase.timestamp,
+          { from: passenger, value: purchase.value }
+        );
+      } catch (e) {
+        isReverted = true;
+      }
+      revertedArr.push(isReverted);
+    }
+
+    // ASSERT
+    for (let i = 0; i < revertedArr.length; i++) {
+      assert.isTrue(revertedArr[i], `The purchase ${i} was not reverted`);
+    }
+  });
+
+  // Registers an oracle by committing to a secret and revealing it in the next block
+  const registerOracle = async function (oracle, secret = web3.utils.randomHex(32)) {
+    let commitment = web3.utils.soliditySha3(
+      { t: "address", v: oracle },
+      { t: "bytes32", v: secret }
+    );
+    await config.flightSuretyApp.registerOracle(commitment, {
+      from: oracle,
+      value: await config.flightSuretyApp.REGISTRATION_FEE.call(),
+    });
+    return config.flightSuretyApp.revealOracle(secret, { from: oracle });
+  };
+
+  // Sends a JSON-RPC request to ganache, e.g. to move its clock forward
+  const rpc = (method, params = []) =>
+    new Promise((resolve, reject) =>
+      web3.currentProvider.send({ jsonrpc: "2.0", method: method, params: params, id: Date.now() }, (error, result) =>
+        error ? reject(error) : resolve(result)
+      )
+    );
+
+  // Integer from 0-9 drawn from a seed, like FlightSuretyApp.getRandomIndex
+  const randomIndex = (seed, nonce) =>
+    web3.utils.toBN(web3.utils.soliditySha3({ t: "bytes32", v: seed }, { t: "uint256", v: nonce })).modn(10);
+
+  // Index of the oracles asked for the latest request for a flight, drawn from the hash of its block
+  const requestIndex = async function (airline, flight, timestamp) {
+    let { requestBlock } = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+    let block = await web3.eth.getBlock(requestBlock.toNumber());
+    let key = web3.utils.soliditySha3(
+      { t: "address", v: airline },
+      { t: "string", v: flight },
+      { t: "uint256", v: timestamp }
+    );
+    return randomIndex(web3.utils.soliditySha3({ t: "bytes32", v: block.hash }, { t: "bytes32", v: key }), 0);
+  };
+
+  // Registers the oracles of accounts 10-29 that aren't registered yet
+  const registerTestOracles = async function () {
+    let oracles = accounts.slice(10, 30);
+    for (let oracle of oracles) {
+      if (!(await config.flightSuretyApp.getOracle(oracle))) await registerOracle(oracle);
+    }
+    return oracles;
+  };
+
+  // Only the status of a registered flight can be requested
+  const registerTestFlight = async function (airline, flight, timestamp) {
+    if (await config.flightSuretyApp.isFlightRegistered(timestamp, airline, flight)) return;
+    let flightKey = await config.flightSuretyApp.getFlightKey(airline, flight, timestamp);
+    await config.flightSuretyData._registerFlight(timestamp, airline, flight, flightKey);
+  };
+
+  // Asks for the status of a flight until enough of the oracles of accounts 10-29 hold the drawn index,
+  // letting the requests that don't reach enough of them expire
+  const requestFlightStatus = async function (airline, flight, timestamp, minResponders = 3) {
+    let oracles = await registerTestOracles();
+    await registerTestFlight(airline, flight, timestamp);
+    let window = await config.flightSuretyApp.ORACLE_RESPONSE_WINDOW.call();
+    for (;;) {
+      let tx = await config.flightSuretyApp.fetchFlightStatus(
+        airline,
+        flight,
+        timestamp,
+        { value: await config.flightSuretyApp.REQUEST_FEE.call() }
+      );
+      let index = await requestIndex(airline, flight, timestamp);
+      let responders = [];
+      for (let oracle of oracles) {
+        let indexes = await config.flightSuretyApp.getMyIndexes.call({ from: oracle });
+        if (indexes.some((held) => held.toNumber() === index)) responders.push(oracle);
+      }
+      if (responders.length >= minResponders) {
+        return { index: index, responders: responders, deadline: tx.logs[0].args.deadline };
+      }
+      await rpc("evm_increaseTime", [window.toNumber() + 1]);
+      await rpc("evm_mine");
+    }
+  };
+
   it("can test that the random index is generated for under 10", async () => {
     // ARRANGE
-    let gas = new BigNumber(web3.utils.toWei("1", "ether"));
     let addr = accounts[3];
     let oracleExists;
+    let indexes;
     // ACT
     try {
-      await config.flightSuretyApp.registerOracle({
-        from: addr,
-        value: gas,
-      });
+      await registerOracle(addr);
       oracleExists = await config.flightSuretyApp.getOracle(addr);
+      indexes = (await config.flightSuretyApp.getMyIndexes.call({ from: addr })).map((index) => index.toNumber());
     } catch (e) {
       console.log(e.message);
     }
 
     // ASSERT
     assert.isTrue(oracleExists, "The oracle is not properly registered");
+    assert.isTrue(indexes.every((index) => index < 10), "An index is not under 10");
+    assert.equal(new Set(indexes).size, 3, "The indexes are not distinct");
+  });
+
+  it("(oracles) draws the indexes of an oracle from its revealed secret and the hash of the block of its commitment", async () => {
+    // ARRANGE
+    let oracle = accounts[30];
+    let secret = web3.utils.randomHex(32);
+    let commitment = web3.utils.soliditySha3({ t: "address", v: oracle }, { t: "bytes32", v: secret });
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    let reasons = [];
+
+    // ACT
+    let tx = await config.flightSuretyApp.registerOracle(commitment, { from: oracle, value: fee });
+    try {
+      await config.flightSuretyApp.registerOracle(commitment, { from: oracle, value: fee });
+    } catch (e) {
+      reasons.push(e.reason);
+    }
+    try {
+      await config.flightSuretyApp.revealOracle(web3.utils.randomHex(32), { from: oracle });
+    } catch (e) {
+      reasons.push(e.reason);
+    }
+    await config.flightSuretyApp.revealOracle(secret, { from: oracle });
+    let indexes = (await config.flightSuretyApp.getMyIndexes.call({ from: oracle })).map((index) => index.toNumber());
+
+    // ASSERT
+    let block = await web3.eth.getBlock(tx.receipt.blockNumber);
+    let seed = web3.utils.soliditySha3({ t: "bytes32", v: secret }, { t: "bytes32", v: block.hash });
+    let expected = [];
+    for (let nonce = 0; expected.length < 3; nonce++) {
+      let index = randomIndex(seed, nonce);
+      if (!expected.includes(index)) expected.push(index);
+    }
+    assert.deepEqual(
+      reasons,
+      ["The oracle registration is waiting to be revealed", "The secret does not match the commitment"],
+      "The commitment could be replaced or revealed with another secret"
+    );
+    assert.deepEqual(indexes, expected, "The indexes are not drawn from the secret and the commitment's block hash");
+  });
+
+  it("(oracles) does not let an oracle choose its indexes after it committed", async () => {
+    // ARRANGE
+    let oracle = accounts[38];
+    let secret = web3.utils.randomHex(32);
+    let commitment = web3.utils.soliditySha3({ t: "address", v: oracle }, { t: "bytes32", v: secret });
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    // Sends without waiting for the block, the receipts are checked below
+    let send = (method, args, value) =>
+      new Promise((resolve, reject) => {
+        config.flightSuretyApp.contract.methods[method](...args)
+          .send({ from: oracle, value: value, gas: 500000 })
+          .on("transactionHash", resolve)
+          .on("error", reject)
+          .catch(() => {});
+      });
+    let reason;
+
+    // ACT
+    // Reveal in the block of the commitment, before its hash is known
+    await rpc("miner_stop");
+    let hashes = [await send("registerOracle", [commitment], fee), await send("revealOracle", [secret], 0)];
+    await rpc("evm_mine");
+    await rpc("miner_start");
+    let [committed, revealed] = await Promise.all(hashes.map((hash) => web3.eth.getTransactionReceipt(hash)));
+    let isRegistered = await config.flightSuretyApp.getOracle(oracle);
+    // Once the hash is known, another secret would draw other indexes
+    try {
+      await config.flightSuretyApp.revealOracle(web3.utils.randomHex(32), { from: oracle });
+    } catch (e) {
+      reason = e.reason;
+    }
+    await config.flightSuretyApp.revealOracle(secret, { from: oracle });
+    let indexes = (await config.flightSuretyApp.getMyIndexes.call({ from: oracle })).map((index) => index.toNumber());
+
+    // ASSERT
+    let block = await web3.eth.getBlock(committed.blockNumber);
+    let seed = web3.utils.soliditySha3({ t: "bytes32", v: secret }, { t: "bytes32", v: block.hash });
+    let expected = [];
+    for (let nonce = 0; expected.length < 3; nonce++) {
+      let index = randomIndex(seed, nonce);
+      if (!expected.includes(index)) expected.push(index);
+    }
+    assert.equal(revealed.blockNumber, committed.blockNumber, "The reveal was not sent in the block of the commitment");
+    assert.isTrue(committed.status, "The commitment failed");
+    assert.isFalse(revealed.status, "The registration was revealed in the block of the commitment");
+    assert.isFalse(isRegistered, "The oracle was registered before the hash of its commitment block was known");
+    assert.equal(reason, "The secret does not match the commitment", "The oracle revealed another secret than it committed to");
+    assert.deepEqual(indexes, expected, "The indexes are not the ones of the committed secret");
+  });
+
+  it("(oracles) keeps the index of a pending request and the index generators private", async () => {
+    // ARRANGE
+    let airline = config.firstAirline;
+    let flight = "Grinding Flight";
+    let timestamp = 4567;
+    let fee = await config.flightSuretyApp.REQUEST_FEE.call();
+    let oracles = await registerTestOracles();
+    let reason;
+    await registerTestFlight(airline, flight, timestamp);
+
+    // ACT
+    await config.flightSuretyApp.fetchFlightStatus(airline, flight, timestamp, { value: fee });
+    let first = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+    let index = await requestIndex(airline, flight, timestamp);
+    await config.flightSuretyApp.fetchFlightStatus(airline, flight, timestamp, { value: fee });
+    let second = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+    // Answer as another index held by one of the oracles
+    for (let oracle of oracles) {
+      let other = (await config.flightSuretyApp.getMyIndexes.call({ from: oracle }))
+        .map((held) => held.toNumber())
+        .find((held) => held !== index);
+      try {
+        await config.flightSuretyApp.submitOracleResponse(other, airline, flight, timestamp, 10, { from: oracle });
+      } catch (e) {
+        reason = e.reason;
+      }
+      break;
+    }
+
+    // ASSERT
+    assert.isUndefined(config.flightSuretyApp.getRandomIndex, "getRandomIndex can be called");
+    assert.isUndefined(config.flightSuretyApp.generateIndexes, "generateIndexes can be called");
+    assert.equal(second.requestBlock.toString(), first.requestBlock.toString(), "Asking again drew a new index");
+    assert.equal(second.fee.toString(), fee.muln(2).toString(), "The second fee was not added to the request");
+    assert.equal(reason, "The index was not drawn for this request", "A response with another index was accepted");
+  });
+
+  it("(oracles) credits every insuree of a flight when the oracles agree it is late because of the airline", async () => {
+    // ARRANGE
+    const STATUS_CODE_LATE_AIRLINE = 20;
+    let airline = config.firstAirline;
+    let flight = "Late Flight";
+    let timestamp = 5678;
+    let passengers = [accounts[6], accounts[7]];
+    let flightKey = await config.flightSuretyApp.getFlightKey(
+      airline,
+      flight,
+      timestamp
+    );
+
+    await config.flightSuretyApp.registerFlight(timestamp, airline, flight, { from: airline });
+    for (let passenger of passengers) {
+      await config.flightSuretyApp.buyInsurance(airline, flight, timestamp, {
+        from: passenger,
+        value: web3.utils.toWei("0.4", "ether"),
+      });
+    }
+    let before = await Promise.all(
+      passengers.map((passenger) =>
+        config.flightSuretyData.pendingCreditQuery(passenger)
+      )
+    );
+
+    // ACT
+    // The drawn index is random, ask again until enough oracles hold it
+    let { index, responders } = await requestFlightStatus(airline, flight, timestamp);
+    for (let oracle of responders.slice(0, 3)) {
+      await config.flightSuretyApp.submitOracleResponse(
+        index,
+        airline,
+        flight,
+        timestamp,
+        STATUS_CODE_LATE_AIRLINE,
+        { from: oracle }
+      );
+    }
+
+    // ASSERT
+    for (let i = 0; i < passengers.length; i++) {
+      let insurance = await config.flightSuretyData.insuranceQuery(
+        passengers[i],
+        flightKey
+      );
+      let after = await config.flightSuretyData.pendingCreditQuery(
+        passengers[i]
+      );
+      assert.isTrue(insurance[2], `The policy of passenger ${i} is not credited`);
+      assert.equal(
+        web3.utils.fromWei(after.sub(before[i]), "ether"),
+        0.6,
+        `The payout of passenger ${i} is not accurate`
+      );
+    }
+  });
+
+  const REQUEST_PENDING = 1;
+  const REQUEST_RESOLVED = 2;
+  const REQUEST_EXPIRED = 3;
+
+  it("(oracles) closes a request once the oracles agree and rejects the responses after that", async () => {
+    // ARRANGE
+    const STATUS_CODE_ON_TIME = 10;
+    let airline = config.firstAirline;
+    let flight = "Resolved Flight";
+    let timestamp = 6789;
+    let request = await requestFlightStatus(airline, flight, timestamp);
+    let pending = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+    let reason;
+
+    // ACT
+    for (let oracle of request.responders.slice(0, 3)) {
+      await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, STATUS_CODE_ON_TIME, {
+        from: oracle,
+      });
+    }
+    let resolved = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+    try {
+      await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 20, {
+        from: request.responders[3] || request.responders[0],
+      });
+    } catch (e) {
+      reason = e.reason;
+    }
+
+    // ASSERT
+    assert.equal(pending.state.toNumber(), REQUEST_PENDING, "The request should be pending");
+    assert.equal(pending.deadline.toString(), request.deadline.toString(), "The deadline of the request is not accurate");
+    assert.equal(resolved.state.toNumber(), REQUEST_RESOLVED, "The request should be resolved");
+    assert.equal(resolved.statusCode.toNumber(), STATUS_CODE_ON_TIME, "The final status is not accurate");
+    assert.equal(resolved.responseCount.toNumber(), 3, "The number of responses is not accurate");
+    assert.equal(reason, "The oracle request is already resolved", "A response was accepted after the consensus");
+  });
+
+  it("(oracles) keeps a settled flight status final and refuses requests for unregistered flights", async () => {
+    // ARRANGE
+    // Settled by the previous tests, on time and late because of the airline
+    let airline = config.firstAirline;
+    let settled = { "Resolved Flight": 6789, "Late Flight": 5678 };
+    let fee = await config.flightSuretyApp.REQUEST_FEE.call();
+    let fetch = (flight, timestamp) => () =>
+      config.flightSuretyApp.fetchFlightStatus(airline, flight, timestamp, { value: fee });
+    let status = async (flight) =>
+      (await config.flightSuretyApp.getRegisteredFlight(
+        await config.flightSuretyApp.getFlightKey(airline, flight, settled[flight])
+      ))[1].toNumber();
+
+    // ACT
+    let reasons = await reasonsOf({
+      "Resolved Flight": fetch("Resolved Flight", settled["Resolved Flight"]),
+      "Late Flight": fetch("Late Flight", settled["Late Flight"]),
+      "Unregistered Flight": fetch("Unregistered Flight", 1234),
+    });
+
+    // ASSERT
+    assert.deepEqual(
+      reasons,
+      {
+        "Resolved Flight": "The flight status is already settled",
+        "Late Flight": "The flight status is already settled",
+        "Unregistered Flight": "The flight is not registered",
+      },
+      "A settled or unregistered flight was requested again"
+    );
+    assert.equal(await status("Resolved Flight"), 10, "The on time status was changed");
+    assert.equal(await status("Late Flight"), 20, "The late status was changed");
+  });
+
+  it("(passenger) cannot buy insurance for a flight once its status is settled", async () => {
+    // ARRANGE
+    // Settled late because of the airline by a previous test, a payout status
+    let airline = config.firstAirline;
+    let passenger = accounts[8];
+    let flightKey = await config.flightSuretyApp.getFlightKey(airline, "Late Flight", 5678);
+    let reason;
+    let query;
+
+    // ACT
+    try {
+      await config.flightSuretyApp.buyInsurance(airline, "Late Flight", 5678, {
+        from: passenger,
+        value: web3.utils.toWei("0.5", "ether"),
+      });
+    } catch (e) {
+      reason = e.reason;
+    }
+    try {
+      await config.flightSuretyData.insuranceQuery(passenger, flightKey);
+    } catch (e) {
+      query = e.message;
+    }
+
+    // ASSERT
+    assert.equal(reason, "The flight status is already settled", "A policy was sold on a settled flight");
+    assert.include(query, "The insurance for this flight doesn't exist", "The passenger holds a policy on the settled flight");
+  });
+
+  it("(airline) cannot register an insured flight again to reset its status", async () => {
+    // ARRANGE
+    let airline = config.firstAirline;
+    let passenger = accounts[8];
+    let flight = "Registered Once";
+    let timestamp = 7890;
+    let flightKey = await config.flightSuretyApp.getFlightKey(airline, flight, timestamp);
+    await config.flightSuretyApp.registerFlight(timestamp, airline, flight, { from: airline });
+    await config.flightSuretyApp.buyInsurance(airline, flight, timestamp, {
+      from: passenger,
+      value: web3.utils.toWei("0.5", "ether"),
+    });
+    let liability = (await config.flightSuretyData.getAirlineAccount(airline)).liability.toString();
+
+    // ACT
+    let reasons = await reasonsOf({
+      registerFlight: () => config.flightSuretyApp.registerFlight(timestamp, airline, flight, { from: airline }),
+      _registerFlight: () => config.flightSuretyData._registerFlight(timestamp, airline, flight, flightKey),
+    });
+
+    // ASSERT
+    assert.deepEqual(
+      reasons,
+      {
+        registerFlight: "The flight is already registered",
+        _registerFlight: "The flight is already registered",
+      },
+      "The insured flight was registered again"
+    );
+    assert.equal((await config.flightSuretyApp.getRegisteredFlight(flightKey))[1].toNumber(), 0, "The status of the flight was reset");
+    assert.isFalse((await config.flightSuretyData.insuranceQuery(passenger, flightKey))[2], "The policy was credited");
+    assert.equal(
+      (await config.flightSuretyData.getAirlineAccount(airline)).liability.toString(),
+      liability,
+      "The liability of the policy changed"
+    );
+  });
+
+  it("(oracles) rejects a second response of the same oracle", async () => {
+    // ARRANGE
+    let airline = config.firstAirline;
+    let flight = "Duplicate Flight";
+    let timestamp = 7890;
+    let request = await requestFlightStatus(airline, flight, timestamp);
+    let oracle = request.responders[0];
+    let reason;
+
+    // ACT
+    await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 10, { from: oracle });
+    try {
+      await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 10, { from: oracle });
+    } catch (e) {
+      reason = e.reason;
+    }
+    let state = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+
+    // ASSERT
+    assert.equal(reason, "The oracle has already responded to this request", "The duplicate response was accepted");
+    assert.equal(state.responseCount.toNumber(), 1, "The duplicate response was counted");
+  });
+
+  it("(oracles) expires a request after ORACLE_RESPONSE_WINDOW and rejects late responses", async () => {
+    // ARRANGE
+    let airline = config.firstAirline;
+    let flight = "Expired Flight";
+    let timestamp = 8901;
+    let window = await config.flightSuretyApp.ORACLE_RESPONSE_WINDOW.call();
+    let request = await requestFlightStatus(airline, flight, timestamp);
+    let reason;
+
+    // ACT
+    await rpc("evm_increaseTime", [window.toNumber() + 1]);
+    await rpc("evm_mine");
+    let expired = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+    try {
+      await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 10, {
+        from: request.responders[0],
+      });
+    } catch (e) {
+      reason = e.reason;
+    }
+
+    // ASSERT
+    assert.equal(expired.state.toNumber(), REQUEST_EXPIRED, "The request should be expired");
+    assert.equal(reason, "The oracle request has expired", "A late response was accepted");
+  });
+
+  it("(oracles) requires the request fee to fetch a flight status", async () => {
+    // ARRANGE
+    let reason;
+
+    // ACT
+    try {
+      await config.flightSuretyApp.fetchFlightStatus(config.firstAirline, "Unpaid Flight", 9001);
+    } catch (e) {
+      reason = e.reason;
+    }
+
+    // ASSERT
+    assert.equal(reason, "Request fee is required", "The request was made without the fee");
+  });
+
+  it("(oracles) rewards the oracles that agree and slashes the ones that report against them", async () => {
+    // ARRANGE
+    let airline = config.firstAirline;
+    let flight = "Disputed Flight";
+    let timestamp = 9012;
+    let request = await requestFlightStatus(airline, flight, timestamp, 4);
+    let [dissenter, ...agreeing] = request.responders.slice(0, 4);
+    let slashPercent = await config.flightSuretyApp.SLASH_PERCENT.call();
+    let before = await config.flightSuretyApp.oracles(dissenter);
+    let rewardsBefore = await Promise.all(agreeing.map((oracle) => config.flightSuretyApp.oracles(oracle)));
+
+    // ACT
+    await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 10, { from: dissenter });
+    for (let oracle of agreeing) {
+      await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 20, { from: oracle });
+    }
+    let after = await config.flightSuretyApp.oracles(dissenter);
+    let { fee } = await config.flightSuretyApp.getOracleRequest(airline, flight, timestamp);
+
+    // ASSERT
+    let penalty = before.stake.mul(slashPercent).divn(100);
+    let reward = fee.add(penalty).divn(agreeing.length);
+    assert.equal(after.stake.toString(), before.stake.sub(penalty).toString(), "The dissenting oracle was not slashed");
+    assert.equal(after.slashed.sub(before.slashed).toString(), penalty.toString(), "The slashed stake is not booked");
+    for (let i = 0; i < agreeing.length; i++) {
+      let oracle = await config.flightSuretyApp.oracles(agreeing[i]);
+      assert.equal(
+        oracle.rewards.sub(rewardsBefore[i].rewards).toString(),
+        reward.toString(),
+        `The agreeing oracle ${i} was not rewarded`
+      );
+      assert.equal(oracle.stake.toString(), rewardsBefore[i].stake.toString(), `The agreeing oracle ${i} lost stake`);
+    }
+  });
+
+  it("(oracles) pays back the stake and rewards of an oracle that deregisters", async () => {
+    // ARRANGE
+    let oracle;
+    for (let account of accounts.slice(10, 30)) {
+      if (!(await config.flightSuretyApp.oracles(account)).rewards.isZero()) {
+        oracle = account;
+        break;
+      }
+    }
+    // Its stake is locked until the deadline of the requests it responded to
+    let window = await config.flightSuretyApp.ORACLE_RESPONSE_WINDOW.call();
+    await rpc("evm_increaseTime", [window.toNumber() + 1]);
+    await rpc("evm_mine");
+    let account = await config.flightSuretyApp.oracles(oracle);
+    let balance = new BigNumber(await web3.eth.getBalance(oracle));
+    let reason = "";
+
+    // ACT
+    await config.flightSuretyApp.deregisterOracle({ from: oracle, gasPrice: 0 });
+    let received = new BigNumber(await web3.eth.getBalance(oracle)).minus(balance);
+    let after = await config.flightSuretyApp.oracles(oracle);
+    try {
+      await config.flightSuretyApp.getMyIndexes({ from: oracle });
+    } catch (e) {
+      reason = e.message;
+    }
+
+    // ASSERT
+    assert.equal(received.toFixed(), account.stake.add(account.rewards).toString(), "The stake and rewards were not paid back");
+    assert.isFalse(after.isRegistered, "The oracle is still registered");
+    assert.equal(after.stake.toString(), "0", "The stake was not cleared");
+    assert.equal(after.rewards.toString(), "0", "The rewards were not cleared");
+    assert.include(reason, "Not registered as an oracle", "The deregistered oracle still has its indexes");
+  });
+
+  it("(oracles) locks the stake of an oracle that responded until the request can no longer slash it", async () => {
+    // ARRANGE
+    let airline = config.firstAirline;
+    let flight = "Escaping Flight";
+    let timestamp = 9123;
+    let request = await requestFlightStatus(airline, flight, timestamp, 4);
+    let [dissenter, ...agreeing] = request.responders.slice(0, 4);
+    let slashPercent = await config.flightSuretyApp.SLASH_PERCENT.call();
+    let window = await config.flightSuretyApp.ORACLE_RESPONSE_WINDOW.call();
+    let deregister = () => config.flightSuretyApp.deregisterOracle({ from: dissenter, gasPrice: 0 });
+    let before = await config.flightSuretyApp.oracles(dissenter);
+    await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 10, { from: dissenter });
+
+    // ACT
+    let pending = await reasonsOf({ deregisterOracle: deregister });
+    for (let oracle of agreeing) {
+      await config.flightSuretyApp.submitOracleResponse(request.index, airline, flight, timestamp, 20, { from: oracle });
+    }
+    let settled = await reasonsOf({ deregisterOracle: deregister });
+    await rpc("evm_increaseTime", [window.toNumber() + 1]);
+    await rpc("evm_mine");
+    let balance = new BigNumber(await web3.eth.getBalance(dissenter));
+    await deregister();
+    let received = new BigNumber(await web3.eth.getBalance(dissenter)).minus(balance);
+
+    // ASSERT
+    let locked = "The stake is locked until the requests the oracle responded to close";
+    assert.deepEqual(pending, { deregisterOracle: locked }, "The oracle deregistered before the consensus");
+    assert.deepEqual(settled, { deregisterOracle: locked }, "The oracle deregistered before the deadline");
+    assert.equal(
+      received.toFixed(),
+      before.stake.sub(before.stake.mul(slashPercent).divn(100)).add(before.rewards).toString(),
+      "The oracle was not slashed before it got its stake back"
+    );
+  });
+
+  it("(oracles) forfeits the fee of a commitment that lapsed unrevealed when the oracle commits again", async () => {
+    // ARRANGE
+    let oracle = accounts[39];
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    let commit = (secret) =>
+      config.flightSuretyApp.registerOracle(web3.utils.soliditySha3({ t: "address", v: oracle }, { t: "bytes32", v: secret }), {
+        from: oracle,
+        value: fee,
+        gasPrice: 0,
+      });
+    let secret = web3.utils.randomHex(32);
+    await commit(web3.utils.randomHex(32));
+    // The indexes of the first commitment are known once its block is mined, the oracle
+    // lets it lapse instead of revealing it and commits again once its block hash is gone
+    await rpc("evm_mine", [{ blocks: 257 }]);
+    let before = await config.flightSuretyApp.oracles(oracle);
+
+    // ACT
+    let tx = await commit(secret);
+    let replaced = await config.flightSuretyApp.oracles(oracle);
+    await config.flightSuretyApp.revealOracle(secret, { from: oracle, gasPrice: 0 });
+    let balance = new BigNumber(await web3.eth.getBalance(oracle));
+    await config.flightSuretyApp.deregisterOracle({ from: oracle, gasPrice: 0 });
+    let received = new BigNumber(await web3.eth.getBalance(oracle)).minus(balance);
+
+    // ASSERT
+    assert.equal(replaced.stake.toString(), fee.toString(), "The fee of the lapsed commitment stayed in the stake");
+    assert.equal(replaced.slashed.sub(before.slashed).toString(), fee.toString(), "The forfeited fee is not booked");
+    assert.equal(tx.logs[0].event, "OracleSlashed", "The forfeited fee was not announced");
+    assert.equal(received.toFixed(), fee.toString(), "The fee of the lapsed commitment was paid back");
+  });
+
+  /****************************************************************************************/
+  /* Pricing Policy                                                                       */
+  /****************************************************************************************/
+
+  it("(pricing) starts with a default policy of 1 ether at most, paid out 1.5x for STATUS_CODE_LATE_AIRLINE", async () => {
+    // ACT
+    let policy = await config.flightSuretyData.getPricingPolicy(
+      config.firstAirline
+    );
+
+    // ASSERT
+    assert.equal(web3.utils.fromWei(policy.maxPremium, "ether"), 1);
+    assert.equal(policy.payoutNumerator.toNumber(), 3);
+    assert.equal(policy.payoutDenominator.toNumber(), 2);
+    assert.deepEqual(
+      policy.payoutStatusCodes.map((code) => Number(code)),
+      [20],
+      "The default payout statuses are not accurate"
+    );
+    assert.isFalse(policy.isAirlinePolicy, "The airline should follow the default policy");
+  });
+
+  it("(pricing) cannot set a pricing policy from an account other than the owner", async () => {
+    // ARRANGE
+    let isReverted = false;
+
+    // ACT
+    try {
+      await config.flightSuretyData.setPricingPolicy(
+        config.firstAirline,
+        web3.utils.toWei("5", "ether"),
+        5,
+        1,
+        [20],
+        { from: config.firstAirline }
+      );
+    } catch (e) {
+      isReverted = true;
+    }
+
+    // ASSERT
+    assert.isTrue(isReverted, "A non-owner could set a pricing policy");
+  });
+
+  it("(pricing) only lets the late flight statuses pay out", async () => {
+    // ARRANGE
+    let setPayoutStatuses = (statusCodes) => () =>
+      config.flightSuretyData.setPricingPolicy(config.firstAirline, web3.utils.toWei("1", "ether"), 3, 2, statusCodes, {
+        from: config.owner,
+      });
+
+    // ACT
+    let reasons = await reasonsOf({
+      unknown: setPayoutStatuses([20, 0]),
+      "on time": setPayoutStatuses([10]),
+      "not a status": setPayoutStatuses([25]),
+      "beyond the statuses": setPayoutStatuses([60]),
+    });
+    let policy = await config.flightSuretyData.getPricingPolicy(config.firstAirline);
+
+    // ASSERT
+    let rejected = "Only the late flight statuses can pay out";
+    assert.deepEqual(
+      reasons,
+      { unknown: rejected, "on time": rejected, "not a status": rejected, "beyond the statuses": rejected },
+      "A pricing policy pays out for a status that isn't late"
+    );
+    assert.isFalse(policy.isAirlinePolicy, "A rejected pricing policy was stored");
+  });
+
+  it("(pricing) applies the policy of an airline to the quotes, purchases and payout statuses of its flights", async () => {
+    // ARRANGE
+    const STATUS_CODE_LATE_AIRLINE = 20;
+    const STATUS_CODE_LATE_TECHNICAL = 40;
+    let airline = config.firstAirline;
+    let passenger = accounts[8];
+    let flight = "Priced Flight";
+    let timestamp = 9012;
+    let flightKey = await config.flightSuretyApp.getFlightKey(
+      airline,
+      flight,
+      timestamp
+    );
+    await config.flightSuretyApp.registerFlight(timestamp, airline, flight, { from: airline });
+
+    // ACT
+    await config.flightSuretyData.setPricingPolicy(
+      airline,
+      web3.utils.toWei("2", "ether"),
+      2,
+      1,
+      [STATUS_CODE_LATE_AIRLINE, STATUS_CODE_LATE_TECHNICAL],
+      { from: config.owner }
+    );
+    let quote = await config.flightSuretyData.quote(
+      airline,
+      web3.utils.toWei("1.5", "ether")
+    );
+    let otherQuote = await config.flightSuretyData.quote(
+      accounts[4],
+      web3.utils.toWei("1", "ether")
+    );
+    await config.flightSuretyApp.buyInsurance(airline, flight, timestamp, {
+      from: passenger,
+      value: web3.utils.toWei("1.5", "ether"),
+    });
+    let isTechnicalPayout = await config.flightSuretyData.isPayoutStatus(
+      airline,
+      STATUS_CODE_LATE_TECHNICAL
+    );
+    let isDefaultTechnicalPayout = await config.flightSuretyData.isPayoutStatus(
+      accounts[4],
+      STATUS_CODE_LATE_TECHNICAL
+    );
+
+    // A policy keeps the payout it was quoted when the pricing changes
+    await config.flightSuretyData.removePricingPolicy(airline, {
+      from: config.owner,
+    });
+    let insurance = await config.flightSuretyData.insuranceQuery(
+      passenger,
+      flightKey
+    );
+    let restored = await config.flightSuretyData.getPricingPolicy(airline);
+
+    // ASSERT
+    assert.equal(web3.utils.fromWei(quote, "ether"), 3, "The quote of the airline is not accurate");
+    assert.equal(web3.utils.fromWei(otherQuote, "ether"), 1.5, "The default quote is not accurate");
+    assert.isTrue(isTechnicalPayout, "STATUS_CODE_LATE_TECHNICAL should pay out for the airline");
+    assert.isFalse(isDefaultTechnicalPayout, "STATUS_CODE_LATE_TECHNICAL should not pay out by default");
+    assert.equal(web3.utils.fromWei(insurance[1], "ether"), 3, "The payout quoted at purchase was not kept");
+    assert.isFalse(restored.isAirlinePolicy, "The airline should follow the default policy again");
+  });
+
+  it("(pricing) rejects premiums above the maximum premium of the airline", async () => {
+    // ARRANGE
+    let isReverted = false;
+
+    // ACT
+    try {
+      await config.flightSuretyData.quote(
+        config.firstAirline,
+        web3.utils.toWei("1.5", "ether")
+      );
+    } catch (e) {
+      isReverted = true;
+    }
+
+    // ASSERT
+    assert.isTrue(isReverted, "A premium above the maximum premium was quoted");
+  });
+
+  /****************************************************************************************/
+  /* Airline Accounting                                                                   */
+  /****************************************************************************************/
+
+  it("(accounting) books the premiums, credited and paid payouts and the liability of an airline", async () => {
+    // ARRANGE
+    let airline = config.testAddresses[1];
+    let beneficiary = accounts[5];
+    let flightKey = web3.utils.keccak256("Accounted Flight");
+    let toEther = (account) => ({
+      premiums: web3.utils.fromWei(account.premiums, "ether"),
+      credited: web3.utils.fromWei(account.credited, "ether"),
+      paid: web3.utils.fromWei(account.paid, "ether"),
+      liability: web3.utils.fromWei(account.liability, "ether"),
+      capacity: web3.utils.fromWei(account.capacity, "ether"),
+    });
+    await config.flightSuretyData.fund(airline, { value: web3.utils.toWei("10", "ether") });
+    await config.flightSuretyData._registerFlight(0, airline, "Accounted Flight", flightKey);
+
+    // ACT
+    await config.flightSuretyData.buy(beneficiary, flightKey, {
+      value: web3.utils.toWei("1", "ether"),
+    });
+    let bought = toEther(await config.flightSuretyData.getAirlineAccount(airline));
+    await config.flightSuretyData.creditInsurees(flightKey);
+    let credited = toEther(await config.flightSuretyData.getAirlineAccount(airline));
+    let creditedPolicy = await config.flightSuretyData.insuranceQuery(beneficiary, flightKey);
+    await config.flightSuretyData.pay(beneficiary);
+    let paid = toEther(await config.flightSuretyData.getAirlineAccount(airline));
+    let paidPolicy = await config.flightSuretyData.insuranceQuery(beneficiary, flightKey);
+
+    // ASSERT
+    assert.deepEqual(
+      bought,
+      { premiums: "1", credited: "0", paid: "0", liability: "1.5", capacity: "9.5" },
+      "The purchase is not booked"
+    );
+    assert.deepEqual(
+      credited,
+      { premiums: "1", credited: "1.5", paid: "0", liability: "0", capacity: "9.5" },
+      "The credited payout is not booked"
+    );
+    assert.deepEqual(
+      paid,
+      { premiums: "1", credited: "1.5", paid: "1.5", liability: "0", capacity: "9.5" },
+      "The paid payout is not booked"
+    );
+    assert.deepEqual(
+      [creditedPolicy[2], creditedPolicy[3], creditedPolicy[4]],
+      [true, false, false],
+      "The credited policy does not read as credited and not withdrawn yet"
+    );
+    assert.deepEqual([paidPolicy[2], paidPolicy[3], paidPolicy[4]], [true, false, true], "The paid policy does not read as withdrawn");
+  });
+
+  it("(accounting) releases the liability of the policies of a flight that lands without a payout", async () => {
+    // ARRANGE
+    let airline = config.testAddresses[1];
+    let beneficiary = accounts[6];
+    let flightKey = web3.utils.keccak256("Released Flight");
+    await config.flightSuretyData._registerFlight(0, airline, "Released Flight", flightKey);
+    await config.flightSuretyData.buy(beneficiary, flightKey, {
+      value: web3.utils.toWei("0.5", "ether"),
+    });
+    let before = await config.flightSuretyData.getAirlineAccount(airline);
+
+    // ACT
+    await config.flightSuretyData.releaseInsurees(flightKey);
+    let after = await config.flightSuretyData.getAirlineAccount(airline);
+    await config.flightSuretyData.creditInsurees(flightKey);
+    let insurance = await config.flightSuretyData.insuranceQuery(beneficiary, flightKey);
+
+    // ASSERT
+    assert.equal(web3.utils.fromWei(before.liability, "ether"), 0.75, "The liability of the policy is not booked");
+    assert.equal(after.liability.toString(), "0", "The liability of the policy is not released");
+    assert.equal(
+      web3.utils.fromWei(after.capacity, "ether"),
+      10.0,
+      "The capacity does not include the premium of the released policy"
+    );
+    assert.isFalse(insurance[2], "A released policy was credited");
+    assert.isTrue(insurance[3], "The policy does not read as released");
+    assert.isFalse(insurance[4], "A released policy reads as withdrawn");
+  });
+
+  it("(accounting) refuses a policy whose payout exceeds the coverage capacity of the airline", async () => {
+    // ARRANGE
+    let airline = config.testAddresses[2];
+    let flightKey = web3.utils.keccak256("Uncovered Flight");
+    let reason;
+    await config.flightSuretyData.fund(airline, { value: web3.utils.toWei("10", "ether") });
+    await config.flightSuretyData._registerFlight(0, airline, "Uncovered Flight", flightKey);
+    await config.flightSuretyData.setPricingPolicy(airline, web3.utils.toWei("1", "ether"), 20, 1, [20], {
+      from: config.owner,
+    });
+
+    // ACT
+    try {
+      await config.flightSuretyData.buy(accounts[5], flightKey, {
+        value: web3.utils.toWei("1", "ether"),
+      });
+    } catch (e) {
+      reason = e.reason;
+    }
+    await config.flightSuretyData.buy(accounts[5], flightKey, {
+      value: web3.utils.toWei("0.5", "ether"),
+    });
+    let account = await config.flightSuretyData.getAirlineAccount(airline);
+
+    // ASSERT
+    assert.equal(reason, "The airline cannot cover the payout of this policy", "The uncovered policy was sold");
+    assert.equal(account.capacity.toString(), "500000000000000000", "The capacity of the airline is not accurate");
+  });
+
+  // Balances of the accounts and contracts, in wei as BigNumber
+  const balancesOf = async function (addresses) {
+    let balances = {};
+    for (let [name, address] of Object.entries(addresses)) {
+      balances[name] = new BigNumber(await web3.eth.getBalance(address));
+    }
+    return balances;
+  };
+
+  const changesOf = (before, after) =>
+    Object.fromEntries(Object.keys(before).map((name) => [name, web3.utils.fromWei(after[name].minus(before[name]).toFixed(), "ether")]));
+
+  it("(vault) holds the airline fund and the premiums on FlightSuretyData and pays the payouts out of it", async () => {
+    // ARRANGE
+    let airline = config.firstAirline;
+    let passenger = accounts[3];
+    let timestamp = 3456;
+    let flightKey = await config.flightSuretyApp.getFlightKey(airline, "Vault Flight", timestamp);
+    let addresses = {
+      airline: airline,
+      passenger: passenger,
+      app: config.flightSuretyApp.address,
+      data: config.flightSuretyData.address,
+    };
+    // Start over with an airline that has not funded yet, its fund is sent back
+    await config.flightSuretyData.refund(airline);
+    let start = await balancesOf(addresses);
+
+    // ACT
+    await config.flightSuretyApp.airlineFunding({ from: airline, value: web3.utils.toWei("10", "ether"), gasPrice: 0 });
+    let funded = await balancesOf(addresses);
+    await config.flightSuretyApp.registerFlight(timestamp, airline, "Vault Flight", { from: airline, gasPrice: 0 });
+    await config.flightSuretyApp.buyInsurance(airline, "Vault Flight", timestamp, {
+      from: passenger,
+      value: web3.utils.toWei("0.5", "ether"),
+      gasPrice: 0,
+    });
+    let bought = await balancesOf(addresses);
+    await config.flightSuretyData.creditInsurees(flightKey);
+    let credit = await config.flightSuretyData.pendingCreditQuery(passenger);
+    await config.flightSuretyApp.withdrawPayout({ from: passenger, gasPrice: 0 });
+    let paid = await balancesOf(addresses);
+    let vault = await config.flightSuretyData.getVaultBalance();
+
+    // ASSERT
+    assert.deepEqual(
+      changesOf(start, funded),
+      { airline: "-10", passenger: "0", app: "0", data: "10" },
+      "The fund was not moved to FlightSuretyData"
+    );
+    assert.deepEqual(
+      changesOf(funded, bought),
+      { airline: "0", passenger: "-0.5", app: "0", data: "0.5" },
+      "The premium was not moved to FlightSuretyData"
+    );
+    assert.deepEqual(
+      changesOf(bought, paid),
+      { airline: "0", passenger: web3.utils.fromWei(credit, "ether"), app: "0", data: "-" + web3.utils.fromWei(credit, "ether") },
+      "The payout was not paid out of FlightSuretyData"
+    );
+    assert.isTrue(vault.isReconciled, "The balance of FlightSuretyData does not reconcile with the vault");
+    assert.equal(vault.balance.toString(), paid.data.toFixed(), "The vault does not report the balance of FlightSuretyData");
+  });
+
+  it("(vault) reconciles the balance of FlightSuretyData with the funds and premiums paid in and the payouts paid out", async () => {
+    // ARRANGE
+    let beneficiary = accounts[5];
+    let flightKey = web3.utils.keccak256("Uncovered Flight");
+    await config.flightSuretyData.creditInsurees(flightKey);
+    let credit = new BigNumber(await config.flightSuretyData.pendingCreditQuery(beneficiary));
+    let before = await config.flightSuretyData.getVaultBalance();
+
+    // ACT
+    await config.flightSuretyData.pay(beneficiary);
+    let after = await config.flightSuretyData.getVaultBalance();
+    await config.flightSuretyData.refund(config.testAddresses[2]);
+    let refunded = await config.flightSuretyData.getVaultBalance();
+
+    // ASSERT
+    assert.equal(
+      before.expected.toString(),
+      new BigNumber(before.funded).plus(before.premiums).minus(before.paid).toFixed(),
+      "The expected balance is not the funds and premiums less the paid payouts"
+    );
+    assert.isTrue(before.isReconciled, "The vault did not reconcile before the payout");
+    assert.equal(
+      new BigNumber(before.balance).minus(after.balance).toFixed(),
+      credit.toFixed(),
+      "The payout did not leave FlightSuretyData"
+    );
+    assert.equal(
+      new BigNumber(after.paid).minus(before.paid).toFixed(),
+      credit.toFixed(),
+      "The payout was not booked in the vault"
+    );
+    assert.isTrue(after.isReconciled, "The vault did not reconcile after the payout");
+    assert.equal(
+      new BigNumber(after.funded).minus(refunded.funded).toFixed(),
+      web3.utils.toWei("10", "ether"),
+      "The refunded fund was not taken out of the vault"
+    );
+    assert.isTrue(refunded.isReconciled, "The vault did not reconcile after the refund");
+  });
+
+  const PROPOSAL_OPEN = 1;
+  const PROPOSAL_ADMITTED = 2;
+  const PROPOSAL_EXPIRED = 3;
+
+  // Funds a registered airline or a candidate so that it can register airlines and vote once registered
+  const enableAirline = async function (airline) {
+    if ((await config.flightSuretyData.getAirlineAccount(airline)).funded.isZero()) {
+      await config.flightSuretyApp.airlineFunding({
+        from: airline,
+        value: web3.utils.toWei("10", "ether"),
+      });
+    }
+  };
+
+  it("(proposals) opens a proposal on the first vote and admits the candidate once half of the registered airlines voted", async () => {
+    // ARRANGE
+    // Start over with 4 airlines registered without a vote, accounts 31-34
+    await config.flightSuretyData.refund(accounts[31]);
+    let voters = accounts.slice(31, 35);
+    for (let voter of voters) {
+      await config.flightSuretyApp.registerAirline(voter, "Voter", { from: config.owner });
+      await enableAirline(voter);
+    }
+    let candidate = accounts[35];
+
+    // ACT
+    let first = await config.flightSuretyApp.registerAirline(candidate, "Candidate Air", { from: voters[0] });
+    let open = await config.flightSuretyApp.getProposal(candidate);
+    // A candidate can pay its fund while its proposal is open
+    await enableAirline(candidate);
+    let second = await config.flightSuretyApp.registerAirline(candidate, "Candidate Air", { from: voters[1] });
+    let admitted = await config.flightSuretyApp.getProposal(candidate);
+
+    // ASSERT
+    assert.deepEqual(first.logs.map((log) => log.event), ["ProposalCreated", "VoteCast"], "The first vote did not open a proposal");
+    assert.equal(first.logs[0].args.proposer, voters[0], "The proposer is not accurate");
+    assert.equal(open.state.toNumber(), PROPOSAL_OPEN, "The proposal is not open");
+    assert.equal(open.votes.toNumber(), 1, "The first vote is not counted");
+    assert.equal(open.requiredVotes.toNumber(), 2, "Half of the 4 registered airlines should be required");
+    assert.deepEqual(second.logs.map((log) => log.event), ["VoteCast", "AirlineAdmitted"], "The second vote did not admit the candidate");
+    assert.equal(second.logs[1].args.name, "Candidate Air", "The candidate was admitted with another name");
+    assert.equal(admitted.state.toNumber(), PROPOSAL_ADMITTED, "The proposal is not closed");
+    assert.isTrue(await config.flightSuretyData._isAirline(candidate), "The candidate was not registered");
+  });
+
+  it("(proposals) keeps the voters of each candidate apart and only counts votes of registered airlines", async () => {
+    // ARRANGE
+    let voter = accounts[31];
+    let outsider = accounts[38];
+    let reasons = [];
+
+    // ACT
+    await config.flightSuretyApp.registerAirline(accounts[36], "Second Candidate", { from: voter });
+    await config.flightSuretyApp.registerAirline(accounts[37], "Third Candidate", { from: voter });
+    try {
+      await config.flightSuretyApp.registerAirline(accounts[36], "Second Candidate", { from: voter });
+    } catch (e) {
+      reasons.push(e.reason);
+    }
+    try {
+      await config.flightSuretyApp.registerAirline(accounts[36], "Second Candidate", { from: outsider });
+    } catch (e) {
+      reasons.push(e.reason);
+    }
+    try {
+      await config.flightSuretyApp.airlineFunding({ from: outsider, value: web3.utils.toWei("10", "ether") });
+    } catch (e) {
+      reasons.push(e.reason);
+    }
+    let proposal = await config.flightSuretyApp.getProposal(accounts[36]);
+
+    // ASSERT
+    assert.deepEqual(
+      reasons,
+      [
+        "The caller has already voted for this airline",
+        "The caller is not a registered airline",
+        "Only registered airlines and candidates can fund",
+      ],
+      "A repeated vote, a vote of an unregistered airline or a fund of an outsider was accepted"
+    );
+    assert.isTrue(
+      (await config.flightSuretyData.getAirlineAccount(outsider)).funded.isZero(),
+      "The outsider was funded"
+    );
+    assert.isTrue(await config.flightSuretyApp.hasVoted(accounts[37], voter), "The vote for the third candidate is missing");
+    assert.isFalse(await config.flightSuretyApp.hasVoted(accounts[36], accounts[32]), "A vote was shared with another voter");
+    assert.equal(proposal.votes.toNumber(), 1, "The votes of the second candidate are not accurate");
+    assert.equal(proposal.requiredVotes.toNumber(), 3, "Half of the 5 registered airlines should be required");
+  });
+
+  it("(proposals) expires a proposal after PROPOSAL_DURATION and opens a new one on the next vote", async () => {
+    // ARRANGE
+    let candidate = accounts[36];
+    let duration = await config.flightSuretyApp.PROPOSAL_DURATION.call();
+    let before = await config.flightSuretyApp.getProposal(candidate);
+
+    // ACT
+    await rpc("evm_increaseTime", [duration.toNumber() + 1]);
+    await rpc("evm_mine");
+    let expired = await config.flightSuretyApp.getProposal(candidate);
+    let tx = await config.flightSuretyApp.registerAirline(candidate, "Second Candidate", { from: accounts[31] });
+    let after = await config.flightSuretyApp.getProposal(candidate);
+
+    // ASSERT
+    assert.equal(before.state.toNumber(), PROPOSAL_OPEN, "The proposal should be open before it expires");
+    assert.equal(expired.state.toNumber(), PROPOSAL_EXPIRED, "The proposal did not expire");
+    assert.equal(tx.logs[0].event, "ProposalCreated", "The vote did not open a new proposal");
+    assert.equal(after.state.toNumber(), PROPOSAL_OPEN, "The new proposal is not open");
+    assert.equal(after.votes.toNumber(), 1, "The votes of the expired proposal were carried over");
+    assert.isFalse(await config.flightSuretyData._isAirline(candidate), "The candidate was admitted without consensus");
+  });
+
+  it("(proposals) admits airlines before their fund, counts only funded airlines as voters and lets them fund afterwards", async () => {
+    // ARRANGE
+    // 5 funded airlines, accounts 31-35, and an open proposal for accounts[36] with the vote of accounts[31]
+    let airline = accounts[36];
+    let app = config.flightSuretyApp;
+    await app.registerAirline(airline, "Second Candidate", { from: accounts[32] });
+    await app.registerAirline(airline, "Second Candidate", { from: accounts[33] });
+    for (let voter of accounts.slice(31, 34)) {
+      await app.registerAirline(accounts[37], "Third Candidate", { from: voter });
+    }
+    let required = (await app.getProposal(accounts[38])).requiredVotes;
+
+    // ACT
+    let reasons = await reasonsOf({
+      registerFlight: () => app.registerFlight(5678, airline, "Funded Later", { from: airline }),
+    });
+    await app.airlineFunding({ from: airline, value: web3.utils.toWei("10", "ether") });
+    await app.registerFlight(5678, airline, "Funded Later", { from: airline });
+
+    // ASSERT
+    assert.isTrue(await config.flightSuretyData._isAirline(airline), "The airline was not admitted");
+    assert.isTrue(await config.flightSuretyData._isAirline(accounts[37]), "The second airline was not admitted");
+    assert.equal(required.toNumber(), 3, "Half of the 5 funded of the 7 registered airlines should be required");
+    assert.deepEqual(
+      reasons,
+      { registerFlight: "The airline hasn't provided any fund" },
+      "An airline registered a flight before its fund"
+    );
+    assert.equal(
+      web3.utils.fromWei(await app.checkFunds({ from: airline }), "ether"),
+      "10",
+      "The fund of the registered airline was refused"
+    );
+    assert.isTrue(await app.isFlightRegistered(5678, airline, "Funded Later"), "The funded airline could not register a flight");
+  });
+
+  /****************************************************************************************/
+  /* Roles                                                                                */
+  /****************************************************************************************/
+
+  // Revert reason of each call, "" for a call that went through
+  const reasonsOf = async function (calls) {
+    let reasons = {};
+    for (let name of Object.keys(calls)) {
+      try {
+        await calls[name]();
+        reasons[name] = "";
+      } catch (e) {
+        reasons[name] = e.reason;
+      }
+    }
+    return reasons;
+  };
+
+  it("(roles) only lets the authorized app contract change FlightSuretyData", async () => {
+    // ARRANGE
+    let data = config.flightSuretyData;
+    let flightKey = web3.utils.keccak256("Roles Flight");
+    // Neither an outsider nor a registered airline can call FlightSuretyData directly
+    let callers = [accounts[39], config.firstAirline];
+    let calls = (from) => ({
+      buy: () => data.buy(from, flightKey, { from: from, value: web3.utils.toWei("0.1", "ether") }),
+      creditInsurees: () => data.creditInsurees(flightKey, { from: from }),
+      releaseInsurees: () => data.releaseInsurees(flightKey, { from: from }),
+      pay: () => data.pay(from, { from: from }),
+      fund: () => data.fund(from, { from: from, value: web3.utils.toWei("10", "ether") }),
+      _registerAirline: () => data._registerAirline(from, "Outsider Air", { from: from }),
+      _registerFlight: () => data._registerFlight(0, from, "Roles Flight", flightKey, { from: from }),
+      setFlightStatus: () => data.setFlightStatus(flightKey, 20, { from: from }),
+    });
+
+    for (let caller of callers) {
+      // ACT
+      let reasons = await reasonsOf(calls(caller));
+
+      // ASSERT
+      for (let name of Object.keys(reasons)) {
+        assert.equal(reasons[name], "The caller is not authorized", `${caller} could call ${name}`);
+      }
+    }
+  });
+
+  it("(roles) only lets the owner change the settings and the authorized callers", async () => {
+    // ARRANGE
+    let outsider = accounts[39];
+    let app = config.flightSuretyApp;
+    let data = config.flightSuretyData;
+    let calls = {
+      "FlightSuretyData._authorizeCaller": () => data._authorizeCaller(outsider, { from: outsider }),
+      "FlightSuretyData._deauthorizeCaller": () => data._deauthorizeCaller(app.address, { from: outsider }),
+      "FlightSuretyData.setOperatingStatus": () => data.setOperatingStatus(false, { from: outsider }),
+      "FlightSuretyData.setPricingPolicy": () =>
+        data.setPricingPolicy(outsider, web3.utils.toWei("1", "ether"), 2, 1, [20], { from: outsider }),
+      "FlightSuretyData.removePricingPolicy": () => data.removePricingPolicy(outsider, { from: outsider }),
+      "FlightSuretyDataHarness.refund": () => data.refund(outsider, { from: outsider }),
+      "FlightSuretyApp.authorizeCaller": () => app.authorizeCaller(outsider, { from: outsider }),
+      "FlightSuretyApp.deauthorizeCaller": () => app.deauthorizeCaller(app.address, { from: outsider }),
+      "FlightSuretyApp.setOperatingStatus": () => app.setOperatingStatus(false, { from: outsider }),
+    };
+
+    // ACT
+    let reasons = await reasonsOf(calls);
+
+    // ASSERT
+    for (let name of Object.keys(calls)) {
+      assert.equal(reasons[name], "Caller is not contract owner", `An outsider could call ${name}`);
+    }
+    assert.isTrue(await data._isAuthorizedCaller(app.address), "The app contract lost its authorization");
+  });
+
+  it("(roles) only lets funded airlines register flights and airlines, and oracles respond", async () => {
+    // ARRANGE
+    let outsider = accounts[39];
+    let app = config.flightSuretyApp;
+    let airline = config.firstAirline;
+    let calls = {
+      "registerFlight of the outsider": () => app.registerFlight(2345, outsider, "Roles Flight", { from: outsider }),
+      "registerFlight of an airline": () => app.registerFlight(2345, airline, "Roles Flight", { from: outsider }),
+      "registerFlight of another airline": () => app.registerFlight(2345, airline, "Roles Flight", { from: accounts[2] }),
+      registerAirline: () => app.registerAirline(outsider, "Outsider Air", { from: outsider }),
+      submitOracleResponse: () => app.submitOracleResponse(0, airline, "Roles Flight", 2345, 10, { from: outsider }),
+    };
+
+    // ACT
+    let reasons = await reasonsOf(calls);
+
+    // ASSERT
+    assert.deepEqual(
+      reasons,
+      {
+        "registerFlight of the outsider": "The caller is not a registered airline",
+        "registerFlight of an airline": "The caller is not a registered airline",
+        "registerFlight of another airline": "Flights are registered by their airline",
+        registerAirline: "The caller is not a registered airline",
+        submitOracleResponse: "Not registered as an oracle",
+      },
+      "An account without the role could call the function"
+    );
+  });
+
+  it("(roles) leaves the test-only helpers out of the deployed contracts", async () => {
+    // ARRANGE
+    let FlightSuretyData = artifacts.require("FlightSuretyData");
+    let functions = (contract) => contract.abi.filter((item) => item.type === "function").map((item) => item.name);
+
+    // ASSERT
+    assert.notInclude(functions(FlightSuretyData), "refund", "FlightSuretyData still has refund()");
+    assert.notInclude(functions(config.flightSuretyApp), "resetVotedAirlines", "FlightSuretyApp still has resetVotedAirlines()");
+  });
+
+  it("(upgrade) keeps the policies and credits of FlightSuretyData when a new FlightSuretyApp replaces the old one", async () => {
+    // ARRANGE
+    let { upgradeApp } = require("../scripts/upgrade");
+    let oldApp = config.flightSuretyApp;
+    let airline = config.firstAirline;
+    let passenger = accounts[4];
+    let timestamp = 4567;
+    let premium = web3.utils.toWei("0.5", "ether");
+    let openKey = await oldApp.getFlightKey(airline, "Upgrade Flight", timestamp);
+    let creditedKey = await oldApp.getFlightKey(airline, "Upgrade Late Flight", timestamp);
+    for (let flight of ["Upgrade Flight", "Upgrade Late Flight"]) {
+      await oldApp.registerFlight(timestamp, airline, flight, { from: airline });
+      await oldApp.buyInsurance(airline, flight, timestamp, { from: passenger, value: premium });
+    }
+    await config.flightSuretyData.creditInsurees(creditedKey);
+    let credit = await config.flightSuretyData.pendingCreditQuery(passenger);
+    // An oracle of the old app whose stake is no longer locked by a request
+    let oracles = await registerTestOracles();
+    let window = await config.flightSuretyApp.ORACLE_RESPONSE_WINDOW.call();
+    await rpc("evm_increaseTime", [window.toNumber() + 1]);
+    await rpc("evm_mine");
+    let requestFee = await oldApp.REQUEST_FEE.call();
+    let registrationFee = await oldApp.REGISTRATION_FEE.call();
+
+    // ACT
+    let app = await upgradeApp({
+      FlightSuretyApp: artifacts.require("FlightSuretyApp"),
+      data: config.flightSuretyData,
+      oldApp: oldApp,
+      log: () => {},
+    });
+    let open = await config.flightSuretyData.insuranceQuery(passenger, openKey);
+    let credited = await config.flightSuretyData.insuranceQuery(passenger, creditedKey);
+    let balance = new BigNumber(await web3.eth.getBalance(passenger));
+    await app.withdrawPayout({ from: passenger, gasPrice: 0 });
+    let received = new BigNumber(await web3.eth.getBalance(passenger)).minus(balance);
+    await app.buyInsurance(airline, "Upgrade Flight", timestamp, { from: accounts[6], value: premium });
+    let reasons = await reasonsOf({
+      buyInsurance: () => oldApp.buyInsurance(airline, "Upgrade Flight", timestamp, { from: accounts[7], value: premium }),
+      withdrawPayout: () => oldApp.withdrawPayout({ from: passenger }),
+      fetchFlightStatus: () => oldApp.fetchFlightStatus(airline, "Upgrade Flight", timestamp, { value: requestFee }),
+      registerOracle: () => oldApp.registerOracle(web3.utils.randomHex(32), { from: accounts[7], value: registrationFee }),
+      revealOracle: () => oldApp.revealOracle(web3.utils.randomHex(32), { from: accounts[7] }),
+      submitOracleResponse: () =>
+        oldApp.submitOracleResponse(0, airline, "Upgrade Flight", timestamp, 10, { from: oracles[0] }),
+      deregisterOracle: () => oldApp.deregisterOracle({ from: oracles[0] }),
+    });
+
+    // ASSERT
+    assert.equal(open[0].toString(), premium, "The open policy was lost");
+    assert.isFalse(open[2], "The open policy was credited");
+    assert.isTrue(credited[2], "The credited policy was lost");
+    assert.equal(received.toFixed(), credit.toString(), "The credit was not paid by the new app");
+    assert.isTrue(await config.flightSuretyData._isAuthorizedCaller(app.address), "The new app is not authorized");
+    assert.isFalse(await config.flightSuretyData._isAuthorizedCaller(oldApp.address), "The old app is still authorized");
+    assert.isFalse(await oldApp.isOperational(), "The old app is not paused");
+    assert.deepEqual(
+      reasons,
+      {
+        buyInsurance: "Contract is currently not operational",
+        withdrawPayout: "Contract is currently not operational",
+        fetchFlightStatus: "Contract is currently not operational",
+        registerOracle: "Contract is currently not operational",
+        revealOracle: "Contract is currently not operational",
+        submitOracleResponse: "Contract is currently not operational",
+        deregisterOracle: "",
+      },
+      "The old app still changes FlightSuretyData or takes oracle fees, or keeps the oracle stakes"
+    );
+    assert.isTrue((await config.flightSuretyData.getVaultBalance()).isReconciled, "The vault does not reconcile after the upgrade");
+  });
+
+  it("(upgrade) keeps the indexed events of a replaced FlightSuretyApp on the server", async () => {
+    // ARRANGE
+    let { upgradeApp } = require("../scripts/upgrade");
+    let { default: EventIndexer } = await import("../src/server/indexer.js");
+    let FlightSuretyApp = artifacts.require("FlightSuretyApp");
+    let airline = config.firstAirline;
+    let timestamp = 5678;
+    let fee = await config.flightSuretyApp.REQUEST_FEE.call();
+    // What the server reads through ContractClient.getEvents and keeps in its JsonStore
+    let clientOf = (contract) => {
+      let instance = new web3.eth.Contract(contract.abi, contract.address);
+      return { address: contract.address, getEvents: (name, options) => instance.getPastEvents(name, options) };
+    };
+    let document = null;
+    let store = {
+      load: (defaults) => document || defaults,
+      save: (state) => (document = JSON.parse(JSON.stringify(state))),
+    };
+    let settings = { fromBlock: await web3.eth.getBlockNumber(), batchSize: 100, pollInterval: 60000, reorgDepth: 12 };
+    let index = async (apps) => {
+      let indexer = new EventIndexer(
+        web3,
+        { FlightSuretyApp: apps.map(clientOf), FlightSuretyData: [clientOf(config.flightSuretyData)] },
+        store,
+        settings
+      );
+      await indexer.start();
+      indexer.stop();
+      return indexer
+        .query({ contract: "FlightSuretyApp", event: "OracleRequest" })
+        .map((event) => [event.address, event.returnValues.flight]);
+    };
+    let upgrade = (oldApp) => upgradeApp({ FlightSuretyApp, data: config.flightSuretyData, oldApp: oldApp, log: () => {} });
+    let registerFlight = async (app, flight) =>
+      config.flightSuretyData._registerFlight(timestamp, airline, flight, await app.getFlightKey(airline, flight, timestamp));
+    let oldApp = await upgrade(config.flightSuretyApp);
+    await registerFlight(oldApp, "Indexed Flight");
+    await oldApp.fetchFlightStatus(airline, "Indexed Flight", timestamp, { value: fee });
+    let before = await index([oldApp]);
+
+    // ACT
+    let app = await upgrade(oldApp);
+    await registerFlight(app, "Indexed Late Flight");
+    await app.fetchFlightStatus(airline, "Indexed Late Flight", timestamp, { value: fee });
+    let after = await index([oldApp, app]);
+
+    // ASSERT
+    assert.deepEqual(before, [[oldApp.address, "Indexed Flight"]], "The request of the old app was not indexed");
+    assert.deepEqual(
+      after,
+      [
+        [oldApp.address, "Indexed Flight"],
+        [app.address, "Indexed Late Flight"],
+      ],
+      "The events of the replaced app were dropped after the upgrade"
+    );
+    assert.deepEqual(document.contracts.FlightSuretyApp, [oldApp.address, app.address], "The store does not list both apps");
   });
 });
@@ -1,4 +1,5 @@
 const path = require("path");
+const webpack = require("webpack");
 const HtmlWebpackPlugin = require("html-webpack-plugin");
 
 module.exports = {
@@ -34,6 +35,10 @@ module.exports = {
   plugins: [
     new HtmlWebpackPlugin({ 
       template: path.join(__dirname, "src/dapp/index.html")
+    }),
+    // Without a network the dapp follows the chain id of the wallet
+    new webpack.DefinePlugin({
+      "process.env.FLIGHTSURETY_NETWORK": JSON.stringify(process.env.FLIGHTSURETY_NETWORK || "")
     })
   ],
   resolve: {
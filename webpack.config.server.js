@@ -5,6 +5,7 @@ const StartServerPlugin = require('start-server-webpack-plugin')
 
 module.exports = {
     entry: [
+        'babel-polyfill',
         'webpack/hot/poll?1000',
         './src/server/index'
     ],
@@ -25,10 +26,9 @@ module.exports = {
         new webpack.NamedModulesPlugin(),
         new webpack.HotModuleReplacementPlugin(),
         new webpack.NoEmitOnErrorsPlugin(),
+        // Only BUILD_TARGET is fixed at build time, FLIGHTSURETY_NETWORK is read when the server starts
         new webpack.DefinePlugin({
-            "process.env": {
-                "BUILD_TARGET": JSON.stringify('server')
-            }
+            "process.env.BUILD_TARGET": JSON.stringify('server')
         }),
     ],
     output: {